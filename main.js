@@ -7,36 +7,69 @@ import { RenderPass } from 'https://cdn.jsdelivr.net/npm/three@0.157.0/examples/
 import { UnrealBloomPass } from 'https://cdn.jsdelivr.net/npm/three@0.157.0/examples/jsm/postprocessing/UnrealBloomPass.js';
 import { ShaderPass } from 'https://cdn.jsdelivr.net/npm/three@0.157.0/examples/jsm/postprocessing/ShaderPass.js';
 
-// Constants
-const WORLD_SIZE = 800;
-const TEAMS = {
-    RED: 'red',
-    BLUE: 'blue'
+import { WORLD_SIZE, TEAM_COLORS, TEAM_COUNT, ALLIANCES, BOID_SIZE, COLLISION_DISTANCE, SPEED_MULTIPLIER, FLOOR_Y_POSITION } from './sim/config.js';
+import { MIN_TEAMS, MAX_TEAMS, teamIds, parseAlliances, describeAlliances } from './sim/teams.js';
+import { geneSchema, getNestedProperty, formatGene } from './sim/genes.js';
+import { budgetAllocation, MAX_BUDGET } from './sim/budget.js';
+import { playerSpawnPosition, createEvolutionSettings } from './sim/simulation.js';
+import { Random, randomSeed } from './sim/random.js';
+import { LocalRunner, WorkerRunner } from './sim/runner.js';
+import { CROSSOVER_LABELS } from './sim/crossover.js';
+import { SELECTION_LABELS, SELECTION_POOLS } from './sim/selection.js';
+import { FITNESS_TERMS, createFitnessDefinitions, createFitnessDefinition, describeFitness } from './sim/fitness.js';
+import { WIPEOUT_POOLS } from './sim/hall-of-fame.js';
+import { createLeagueSettings } from './sim/league.js';
+import { createIslandSettings, MAX_ISLANDS } from './sim/islands.js';
+import { MUTATION_LABELS, MUTATION_SCHEDULES, mutationRateFor } from './sim/mutation.js';
+import { BRAIN_TYPES, NEURAL_LAYOUT, createBrainSettings } from './sim/brain.js';
+import { LINEAGE_ORIGINS, lineageGenes } from './sim/lineage.js';
+import { GENOME_FILE_KINDS, IMPORT_MODES, createGenomeFile, readGenomeFile } from './sim/genome-io.js';
+import { readSave, saveOptions } from './sim/save.js';
+import { Benchmark, BENCHMARK_SLICE_MS, readPopulations, describeBenchmark } from './sim/benchmark.js';
+
+const NEW_GENERATION_DELAY = 3000; // ms between battles
+const FITNESS_STORAGE_KEY = 'boids-battle-fitness'; // localStorage key for the fitness definitions
+const AUTOSAVE_STORAGE_KEY = 'boids-battle-autosave'; // localStorage key for the autosave toggle
+const SAVE_DATABASE = 'boids-battle'; // IndexedDB database holding the save slots
+const SAVE_STORE = 'runs';
+const SAVE_SLOTS = {
+    slot1: 'Slot 1',
+    slot2: 'Slot 2',
+    slot3: 'Slot 3',
+    slot4: 'Slot 4',
+    slot5: 'Slot 5',
+    autosave: 'Autosave'
 };
-const TEAM_SIZES = 50;
-const BATTLE_DURATION = 90; // seconds
-const MUTATION_RATE = 0.15;
-const MUTATION_AMOUNT = 0.25;
-const BOID_SIZE = 8; // Larger spheres
-const COLLISION_DISTANCE = BOID_SIZE * 2.2;
-const SPEED_MULTIPLIER = 10; // Warriors are 10x faster
-const FLOOR_Y_POSITION = -WORLD_SIZE/2 + 5; // Fixed floor position
 
 // Global variables
 let scene, camera, renderer, composer;
 let playerControls;
 let worldBounds = [];
 let boundaryWalls = [];
-let boids = [];
-let playerBoid;
-let isPlayerInvisible = false;
-let clock = new THREE.Clock();
-let battleTimer = 0;
-let generation = 1;
-let battleActive = true;
+let runner; // Drives the simulation here or in a worker (sim/runner.js)
+let simulation; // runner.simulation: the core itself, or its mirror in worker mode
+let training = null; // Latest progress while turbo training, otherwise null
+const boidViews = new Map(); // Simulation boid -> BoidView
+const effectsRandom = new Random(); // Own stream so visual effects never perturb the simulation
+let clock = new THREE.Clock(); // Real time, for rendering and visual effects only
 let selectedBoid = null;
 let boidInfoPanel;
 let geneVisualizationPanel;
+let hallOfFamePanel;
+let hallOfFameVersion = -1; // Hall of fame version the panel shows
+let expandedChampion = null; // `${team}:${id}` of the entry showing its genes
+let leaguePanel;
+let leagueVersion = -1; // League version the chart shows
+let islandPanel;
+let familyTreePanel;
+let familyTreeKey = null; // `${boid id}:${lineage version}` the tree shows
+let familyTreeLayout = []; // Drawn nodes with their canvas positions, for clicks
+let selectedAncestor = null; // Lineage id whose genes are listed under the tree
+let islandsVersion = -1; // Island history version the charts show
+let standings = null; // { wins, draws } after the last finished battle
+let saveDatabase = null; // Promise of the IndexedDB database, opened on first use
+let benchmark = null; // Benchmark in progress, stepped between frames
+const benchmarkFiles = { a: null, b: null }; // Loaded population files: { name, teams }
 let raycaster;
 let mousePosition = new THREE.Vector2();
 let floorMesh; // Reference to the floor mesh
@@ -45,19 +78,26 @@ let debug = {
     showBoidInfo: false,
     showHitboxes: false,
     speedMultiplier: 1.0,
+    evolution: createEvolutionSettings(), // Breeding settings, carried over when the run restarts
+    teamEvolution: {}, // Team -> overrides of the above, for A/B runs
+    evolutionScope: 'all', // Team the evolution controls edit, or 'all'
+    fitness: loadFitnessDefinitions(), // Team -> fitness definition, persisted in localStorage
+    brains: createBrainSettings(), // Team -> brain type, carried over when the run restarts
+    league: createLeagueSettings(), // League mode settings, carried over when the run restarts
+    islands: createIslandSettings(), // Island model settings, carried over when the run restarts
+    teamCount: TEAM_COUNT, // Changing it restarts the run
+    alliances: ALLIANCES,
     paused: false,
+    useWorker: false,
     showGeneHeatmaps: false,
+    showHallOfFame: false,
+    showFamilyTree: false,
+    showLeague: false,
+    showIslands: false,
+    autosave: localStorage.getItem(AUTOSAVE_STORAGE_KEY) === 'true', // Save to the autosave slot at every generation start
     showFloor: true // New debug option for floor visibility
 };
 
-// Battle history
-let battleHistory = {
-    generations: [],
-    redWins: 0,
-    blueWins: 0,
-    draws: 0
-};
-
 // Movement controls
 const keys = {
     forward: false,
@@ -69,23 +109,6 @@ const keys = {
     boost: false
 };
 
-// Gene constraints - higher values for aggression and larger detection radius AND MUCH FASTER
-const geneConstraints = {
-    separation: { weight: { min: 0.5, max: 8 }, radius: { min: 10, max: 60 } },
-    alignment: { weight: { min: 0.5, max: 8 }, radius: { min: 20, max: 120 } },
-    cohesion: { weight: { min: 0.5, max: 8 }, radius: { min: 20, max: 120 } },
-    charge: { weight: { min: 3.0, max: 20 }, radius: { min: 100, max: 500 } }, // Much larger radius to seek enemies
-    flee: { weight: { min: 1.0, max: 15 }, radius: { min: 20, max: 150 } },
-    maxSpeed: { min: 20.0, max: 100.0 }, // 10x faster
-    maxForce: { min: 0.5, max: 5.0 }, // 10x more force
-    health: { min: 50, max: 200 },
-    damage: { min: 10, max: 35 }, // Increased damage
-    attackCooldown: { min: 0.05, max: 0.4 }, // Faster attacks to match speed
-    aggressiveness: { min: 0.6, max: 1.0 }, // More aggressive
-    defensiveness: { min: 0.1, max: 0.5 },
-    sightRange: { min: 100, max: 400 } // Increased sight range
-};
-
 // Simplified underwater shaders
 const underwaterUniforms = {
     time: { value: 0 },
@@ -158,11 +181,17 @@ function init() {
     // Set up gene visualization panel
     setupGeneVisualizationPanel();
     
+    // Set up hall of fame panel
+    setupHallOfFamePanel();
+    setupLeaguePanel();
+    setupIslandPanel();
+    setupFamilyTreePanel();
+    
     // Setup raycaster for boid selection
     raycaster = new THREE.Raycaster();
     
-    // Initialize boids
-    initializeBoids();
+    // Initialize the simulation core and its boid views
+    initializeSimulation();
     
     // Add event listeners
     window.addEventListener('resize', onWindowResize);
@@ -242,7 +271,8 @@ function setupPlayerControls() {
             // Don't try to lock if clicking on UI elements
             if (event.target.closest('#debug-panel') || 
                 event.target.closest('#boid-info-panel') || 
-                event.target.closest('#gene-visualization-panel')) {
+                event.target.closest('#gene-visualization-panel') ||
+                event.target.closest('#hall-of-fame-panel')) {
                 return;
             }
             
@@ -256,6 +286,9 @@ function setupPlayerControls() {
         });
         
         scene.add(playerControls.getObject());
+        
+        // The player boid can fight once someone is steering it
+        runner.command('setPlayerControlled', true);
     } catch (error) {
         console.error("Error setting up player controls: ", error);
     }
@@ -791,7 +824,7 @@ function updateBoidInfoPanel() {
     // Update content
     const boid = selectedBoid;
     const genes = boid.genes;
-    const teamColor = boid.team === TEAMS.RED ? '#ff3333' : '#3333ff';
+    const teamColor = teamCss(boid.team);
     
     let html = `
         <h2 style="color: ${teamColor};">Boid Info ${boid.isPlayer ? '(Player)' : ''}</h2>
@@ -802,31 +835,20 @@ function updateBoidInfoPanel() {
         <div>Attack Cooldown: ${boid.attackCooldown.toFixed(2)}s</div>
         <div>Damage Dealt: ${Math.floor(boid.damageDealt)}</div>
         <div>Damage Taken: ${Math.floor(boid.damageTaken)}</div>
+        <div>Brain: ${BRAIN_TYPES[simulation.brains[boid.team]]}</div>
         <h3>Genes</h3>
         <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 5px;">
-            <div>Max Speed:</div><div>${genes.maxSpeed.toFixed(1)}</div>
-            <div>Max Force:</div><div>${genes.maxForce.toFixed(2)}</div>
-            <div>Aggressiveness:</div><div>${genes.aggressiveness.toFixed(2)}</div>
-            <div>Defensiveness:</div><div>${genes.defensiveness.toFixed(2)}</div>
-            <div>Sight Range:</div><div>${Math.floor(genes.sightRange)}</div>
-            
-            <div>Separation Weight:</div><div>${genes.separation.weight.toFixed(2)}</div>
-            <div>Separation Radius:</div><div>${Math.floor(genes.separation.radius)}</div>
-            
-            <div>Alignment Weight:</div><div>${genes.alignment.weight.toFixed(2)}</div>
-            <div>Alignment Radius:</div><div>${Math.floor(genes.alignment.radius)}</div>
-            
-            <div>Cohesion Weight:</div><div>${genes.cohesion.weight.toFixed(2)}</div>
-            <div>Cohesion Radius:</div><div>${Math.floor(genes.cohesion.radius)}</div>
-            
-            <div>Charge Weight:</div><div>${genes.charge.weight.toFixed(2)}</div>
-            <div>Charge Radius:</div><div>${Math.floor(genes.charge.radius)}</div>
-            
-            <div>Flee Weight:</div><div>${genes.flee.weight.toFixed(2)}</div>
-            <div>Flee Radius:</div><div>${Math.floor(genes.flee.radius)}</div>
+            ${geneSchema.filter(gene => gene.info).map(gene => `
+            <div>${gene.label}:</div><div>${formatGene(gene, getNestedProperty(genes, gene.path))}</div>`).join('')}
+            ${genes.mutationSteps ? `
+            <div>Mean Mutation σ:</div><div>${meanOf(Object.values(genes.mutationSteps)).toFixed(3)}</div>` : ''}
+            ${simulation.brains[boid.team] === 'neural' ? `
+            <div>Network:</div><div>${describeNetwork(genes)}</div>` : ''}
         </div>
+        ${describeBudget(boid)}
         <div style="margin-top: 10px;">
             <button id="show-gene-visualization">Show Gene Heatmaps</button>
+            ${boid.isPlayer ? '' : '<button id="export-genome">Export Genome</button>'}
         </div>
     `;
     
@@ -837,6 +859,48 @@ function updateBoidInfoPanel() {
         debug.showGeneHeatmaps = true;
         updateGeneVisualizationPanel();
     });
+    
+    const exportButton = document.getElementById('export-genome');
+    if (exportButton) {
+        exportButton.addEventListener('click', () => exportGenomes('genome'));
+    }
+}
+
+// Points the boid's genome spends on each costed gene, as bars against the team's budget
+function describeBudget(boid) {
+    const allocation = budgetAllocation(boid.genes);
+    const spent = allocation.reduce((sum, { cost }) => sum + cost, 0);
+    const budget = simulation.evolution[boid.team].traitBudget;
+    const color = teamCss(boid.team, 0.3);
+    
+    return `
+        <h3>Trait Budget</h3>
+        <div>Spent: ${spent.toFixed(1)} / ${budget > 0 ? budget : 'unlimited'} points</div>
+        <div style="display: grid; grid-template-columns: 1fr 80px 40px; gap: 3px; align-items: center;">
+            ${allocation.map(({ gene, cost }) => `
+            <div>${gene.label}:</div>
+            <div style="background: #333; height: 8px;"><div style="background: ${color}; height: 8px; width: ${(cost / gene.cost.points * 100).toFixed(0)}%;"></div></div>
+            <div>${(spent > 0 ? cost / spent * 100 : 0).toFixed(0)}%</div>`).join('')}
+        </div>
+    `;
+}
+
+// Team colors from config, as THREE colors or CSS strings (optionally lightened)
+function teamColor(team) {
+    return new THREE.Color(TEAM_COLORS[team]);
+}
+
+function teamCss(team, lighten = 0) {
+    return `#${teamColor(team).lerp(new THREE.Color(0xffffff), lighten).getHexString()}`;
+}
+
+// Layer sizes and mean weight magnitude of a genome's neural brain
+function describeNetwork(genes) {
+    return `${NEURAL_LAYOUT.join('-')}, mean |w| ${meanOf(genes.brain.weights.map(Math.abs)).toFixed(3)}`;
+}
+
+function meanOf(values) {
+    return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
 }
 
 function setupGeneVisualizationPanel() {
@@ -873,7 +937,7 @@ function updateGeneVisualizationPanel() {
     // Create gene heatmaps
     const boid = selectedBoid;
     const team = boid.team;
-    const teamBoids = boids.filter(b => b.team === team && !b.isDead && !b.isPlayer);
+    const teamBoids = simulation.boids.filter(b => b.team === team && !b.isDead && !b.isPlayer);
     
     let html = `
         <h2>Gene Distribution Heatmaps</h2>
@@ -883,32 +947,14 @@ function updateGeneVisualizationPanel() {
         <div style="margin-top: 10px;">
     `;
     
-    // Gene keys to display
-    const geneKeys = [
-        { name: 'Max Speed', path: 'maxSpeed' },
-        { name: 'Max Force', path: 'maxForce' },
-        { name: 'Health', path: 'health' },
-        { name: 'Damage', path: 'damage' },
-        { name: 'Aggressiveness', path: 'aggressiveness' },
-        { name: 'Defensiveness', path: 'defensiveness' },
-        { name: 'Separation Weight', path: 'separation.weight' },
-        { name: 'Alignment Weight', path: 'alignment.weight' },
-        { name: 'Cohesion Weight', path: 'cohesion.weight' },
-        { name: 'Charge Weight', path: 'charge.weight' },
-        { name: 'Charge Radius', path: 'charge.radius' }
-    ];
-    
-    // Generate heatmaps for each gene
-    for (const gene of geneKeys) {
+    // Generate heatmaps for each gene the schema marks for it
+    for (const gene of geneSchema.filter(g => g.heatmap)) {
         // Get gene values from all team boids
         const values = teamBoids.map(b => getNestedProperty(b.genes, gene.path));
         const selectedValue = getNestedProperty(boid.genes, gene.path);
         
-        // Get min/max constraints for this gene
-        const constraints = getGeneConstraints(gene.path);
-        
-        // Create heatmap
-        html += createGeneHeatmap(gene.name, values, selectedValue, constraints, team);
+        // Create heatmap (the schema entry carries min/max)
+        html += createGeneHeatmap(gene.label, values, selectedValue, gene, team);
     }
     
     html += `</div>`;
@@ -921,17 +967,433 @@ function updateGeneVisualizationPanel() {
     });
 }
 
-function getNestedProperty(obj, path) {
-    return path.split('.').reduce((curr, key) => curr[key], obj);
+function setupHallOfFamePanel() {
+    hallOfFamePanel = document.createElement('div');
+    hallOfFamePanel.style.position = 'absolute';
+    hallOfFamePanel.style.top = '50%';
+    hallOfFamePanel.style.left = '20px';
+    hallOfFamePanel.style.transform = 'translateY(-50%)';
+    hallOfFamePanel.style.padding = '10px';
+    hallOfFamePanel.style.backgroundColor = 'rgba(0, 0, 0, 0.8)';
+    hallOfFamePanel.style.color = 'white';
+    hallOfFamePanel.style.fontFamily = 'monospace';
+    hallOfFamePanel.style.fontSize = '12px';
+    hallOfFamePanel.style.borderRadius = '5px';
+    hallOfFamePanel.style.display = 'none';
+    hallOfFamePanel.style.maxHeight = '80vh';
+    hallOfFamePanel.style.overflowY = 'auto';
+    hallOfFamePanel.style.zIndex = '1000';
+    hallOfFamePanel.style.pointerEvents = 'auto';
+    hallOfFamePanel.id = 'hall-of-fame-panel';
+    document.body.appendChild(hallOfFamePanel);
+    
+    // One delegated handler, since the content is rebuilt whenever the archive changes
+    hallOfFamePanel.addEventListener('click', function(e) {
+        const button = e.target.closest('[data-champion]');
+        if (!button) return;
+        
+        // Rows carry the entry id: insertions re-sort the archive, so indices go stale
+        const [team, id] = button.dataset.champion.split(':');
+        const entry = simulation.hallOfFame.get(team).find(e => e.id === Number(id));
+        if (!entry) return;
+        
+        if (button.dataset.action === 'reinject') {
+            runner.command('injectGenome', team, entry.genes, 'champion', [entry.id]);
+            button.textContent = 'Queued';
+            button.disabled = true;
+        } else {
+            const key = `${team}:${entry.id}`;
+            expandedChampion = expandedChampion === key ? null : key;
+            hallOfFameVersion = -1;
+            updateHallOfFamePanel();
+        }
+    });
+}
+
+function setupLeaguePanel() {
+    leaguePanel = document.createElement('div');
+    leaguePanel.style.position = 'absolute';
+    leaguePanel.style.bottom = '10px';
+    leaguePanel.style.right = '10px';
+    leaguePanel.style.padding = '10px';
+    leaguePanel.style.backgroundColor = 'rgba(0, 0, 0, 0.8)';
+    leaguePanel.style.color = 'white';
+    leaguePanel.style.fontFamily = 'monospace';
+    leaguePanel.style.fontSize = '12px';
+    leaguePanel.style.borderRadius = '5px';
+    leaguePanel.style.display = 'none';
+    leaguePanel.style.zIndex = '1000';
+    leaguePanel.style.pointerEvents = 'none';
+    leaguePanel.id = 'league-panel';
+    leaguePanel.innerHTML = `
+        <h3 style="margin: 0 0 6px;">League Elo by Generation</h3>
+        <canvas id="league-chart" width="360" height="200"></canvas>
+        <div id="league-summary"></div>
+    `;
+    document.body.appendChild(leaguePanel);
 }
 
-function getGeneConstraints(path) {
-    if (path.includes('.')) {
-        const [parent, child] = path.split('.');
-        return geneConstraints[parent][child];
-    } else {
-        return geneConstraints[path];
+// Redrawn only when ratings changed (or on demand via leagueVersion = -1)
+function updateLeaguePanel() {
+    if (!debug.showLeague) {
+        leaguePanel.style.display = 'none';
+        return;
+    }
+    
+    leaguePanel.style.display = 'block';
+    const league = simulation.league;
+    if (league.version === leagueVersion) return;
+    leagueVersion = league.version;
+    
+    drawLeagueChart(document.getElementById('league-chart'), league.snapshots);
+    
+    const summary = simulation.teams.map(team => {
+        const snapshots = league.snapshots.filter(s => s.team === team);
+        if (snapshots.length === 0) return '';
+        const best = snapshots.reduce((a, b) => b.rating > a.rating ? b : a);
+        return `<div>${team.toUpperCase()}: best gen ${best.generation} (${Math.round(best.rating)}), latest ${Math.round(snapshots[snapshots.length - 1].rating)}</div>`;
+    }).join('');
+    document.getElementById('league-summary').innerHTML =
+        `<div>Matches played: ${league.played}, queued: ${league.queued}</div>${summary}` +
+        (league.settings.enabled ? '' : '<div>League mode is off (debug panel)</div>');
+}
+
+// Each snapshot's current rating, one line per team
+function drawLeagueChart(canvas, snapshots) {
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+    const pad = 30;
+    ctx.clearRect(0, 0, width, height);
+    
+    if (snapshots.length === 0) {
+        ctx.fillStyle = 'white';
+        ctx.fillText('No snapshots yet', pad, height / 2);
+        return;
+    }
+    
+    const generations = snapshots.map(s => s.generation);
+    const ratings = snapshots.map(s => s.rating);
+    const minGen = Math.min(...generations);
+    const maxGen = Math.max(minGen + 1, ...generations);
+    const minRating = Math.min(...ratings) - 10;
+    const maxRating = Math.max(...ratings) + 10;
+    const x = generation => pad + (generation - minGen) / (maxGen - minGen) * (width - pad * 1.5);
+    const y = rating => height - pad - (rating - minRating) / (maxRating - minRating) * (height - pad * 1.5);
+    
+    // Axes with their ranges
+    ctx.strokeStyle = '#888';
+    ctx.beginPath();
+    ctx.moveTo(pad, pad / 2);
+    ctx.lineTo(pad, height - pad);
+    ctx.lineTo(width - pad / 2, height - pad);
+    ctx.stroke();
+    ctx.fillStyle = '#ccc';
+    ctx.fillText(String(Math.round(maxRating)), 0, pad / 2 + 8);
+    ctx.fillText(String(Math.round(minRating)), 0, height - pad);
+    ctx.fillText(`gen ${minGen}`, pad, height - pad / 2);
+    ctx.fillText(`gen ${maxGen}`, width - pad * 2, height - pad / 2);
+    
+    for (const team of new Set(snapshots.map(s => s.team))) {
+        const points = snapshots.filter(s => s.team === team);
+        ctx.strokeStyle = teamCss(team);
+        ctx.beginPath();
+        points.forEach((s, i) => {
+            if (i === 0) ctx.moveTo(x(s.generation), y(s.rating));
+            else ctx.lineTo(x(s.generation), y(s.rating));
+        });
+        ctx.stroke();
+    }
+}
+
+function setupIslandPanel() {
+    islandPanel = document.createElement('div');
+    islandPanel.style.position = 'absolute';
+    islandPanel.style.bottom = '10px';
+    islandPanel.style.left = '50%';
+    islandPanel.style.transform = 'translateX(-50%)';
+    islandPanel.style.padding = '10px';
+    islandPanel.style.backgroundColor = 'rgba(0, 0, 0, 0.8)';
+    islandPanel.style.color = 'white';
+    islandPanel.style.fontFamily = 'monospace';
+    islandPanel.style.fontSize = '12px';
+    islandPanel.style.borderRadius = '5px';
+    islandPanel.style.display = 'none';
+    islandPanel.style.zIndex = '1000';
+    islandPanel.style.pointerEvents = 'none';
+    islandPanel.id = 'island-panel';
+    islandPanel.innerHTML = `
+        <h3 style="margin: 0 0 6px;">Mean Fitness per Island</h3>
+        <div id="island-charts"></div>
+        <div id="island-summary"></div>
+    `;
+    document.body.appendChild(islandPanel);
+}
+
+// Redrawn once per generation (or on demand via islandsVersion = -1)
+function updateIslandPanel() {
+    if (!debug.showIslands) {
+        islandPanel.style.display = 'none';
+        return;
+    }
+    
+    islandPanel.style.display = 'block';
+    const islands = simulation.islands;
+    if (islands.version === islandsVersion) return;
+    islandsVersion = islands.version;
+    
+    // One chart per island that has fought so far, all on the same scale
+    const history = islands.history;
+    const count = Math.max(0, ...history.map(entry => entry.islands.length));
+    const charts = document.getElementById('island-charts');
+    charts.innerHTML = Array.from({ length: count }, () => '<canvas width="360" height="90" style="display: block;"></canvas>').join('');
+    
+    const means = history.flatMap(entry => entry.islands.flatMap(stats => Object.values(stats).map(s => s.mean)));
+    const range = { min: Math.min(...means), max: Math.max(...means) };
+    [...charts.children].forEach((canvas, index) => drawIslandChart(canvas, history, index, range));
+    
+    const { count: islandCount, migrationSize, migrationInterval } = islands.settings;
+    document.getElementById('island-summary').innerHTML = islandCount > 1
+        ? `<div>${islandCount} islands, ${migrationSize} migrants per team every ${migrationInterval} gens (dotted)</div>`
+        : '<div>Island model is off (debug panel)</div>';
+}
+
+// One island's mean fitness per team; dotted lines mark migrations
+function drawIslandChart(canvas, history, index, range) {
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+    const pad = 20;
+    ctx.clearRect(0, 0, width, height);
+    
+    const minGen = history[0].generation;
+    const maxGen = Math.max(minGen + 1, history[history.length - 1].generation);
+    const minFitness = range.min - 1;
+    const maxFitness = range.max + 1;
+    const x = generation => pad + (generation - minGen) / (maxGen - minGen) * (width - pad * 1.5);
+    const y = fitness => height - pad - (fitness - minFitness) / (maxFitness - minFitness) * (height - pad * 1.5);
+    
+    ctx.strokeStyle = '#555';
+    ctx.setLineDash([2, 3]);
+    for (const entry of history.filter(e => e.migrated)) {
+        ctx.beginPath();
+        ctx.moveTo(x(entry.generation), pad / 2);
+        ctx.lineTo(x(entry.generation), height - pad);
+        ctx.stroke();
+    }
+    ctx.setLineDash([]);
+    
+    ctx.strokeStyle = '#888';
+    ctx.beginPath();
+    ctx.moveTo(pad, pad / 2);
+    ctx.lineTo(pad, height - pad);
+    ctx.lineTo(width - pad / 2, height - pad);
+    ctx.stroke();
+    ctx.fillStyle = '#ccc';
+    ctx.fillText(index === 0 ? 'Island 1 (main battle)' : `Island ${index + 1}`, pad + 4, pad / 2 + 8);
+    ctx.fillText(`gen ${minGen}`, pad, height - pad / 2 + 4);
+    ctx.fillText(`gen ${maxGen}`, width - pad * 2.5, height - pad / 2 + 4);
+    
+    // Lines break over generations the island did not exist in
+    for (const team of simulation.teams) {
+        ctx.strokeStyle = teamCss(team);
+        ctx.beginPath();
+        let drawing = false;
+        for (const entry of history) {
+            const stats = entry.islands[index] && entry.islands[index][team];
+            if (!stats) {
+                drawing = false;
+                continue;
+            }
+            if (drawing) ctx.lineTo(x(entry.generation), y(stats.mean));
+            else ctx.moveTo(x(entry.generation), y(stats.mean));
+            drawing = true;
+        }
+        ctx.stroke();
+    }
+}
+
+const FAMILY_TREE_DEPTH = 6; // Parent steps drawn above the selected boid
+const FAMILY_TREE_NODE_RADIUS = 6;
+
+function setupFamilyTreePanel() {
+    familyTreePanel = document.createElement('div');
+    familyTreePanel.style.position = 'absolute';
+    familyTreePanel.style.top = '10px';
+    familyTreePanel.style.left = '50%';
+    familyTreePanel.style.transform = 'translateX(-50%)';
+    familyTreePanel.style.padding = '10px';
+    familyTreePanel.style.backgroundColor = 'rgba(0, 0, 0, 0.8)';
+    familyTreePanel.style.color = 'white';
+    familyTreePanel.style.fontFamily = 'monospace';
+    familyTreePanel.style.fontSize = '12px';
+    familyTreePanel.style.borderRadius = '5px';
+    familyTreePanel.style.display = 'none';
+    familyTreePanel.style.zIndex = '1000';
+    familyTreePanel.style.pointerEvents = 'auto';
+    familyTreePanel.style.maxHeight = '90vh';
+    familyTreePanel.style.overflowY = 'auto';
+    familyTreePanel.id = 'family-tree-panel';
+    familyTreePanel.innerHTML = `
+        <h3 style="margin: 0 0 6px;">Family Tree</h3>
+        <canvas id="family-tree-chart" width="480" height="260" style="cursor: pointer;"></canvas>
+        <div style="color: #aaa;">Oldest ancestors on top; red to green is low to high fitness, grey is still fighting</div>
+        <div id="family-tree-genes"></div>
+    `;
+    document.body.appendChild(familyTreePanel);
+    
+    document.getElementById('family-tree-chart').addEventListener('click', function(e) {
+        const rect = e.target.getBoundingClientRect();
+        const x = e.clientX - rect.left;
+        const y = e.clientY - rect.top;
+        const hit = familyTreeLayout.find(p => Math.hypot(p.x - x, p.y - y) <= FAMILY_TREE_NODE_RADIUS + 2);
+        if (hit) {
+            selectedAncestor = hit.node.id;
+            familyTreeKey = `${selectedBoid.id}:-1`;
+            updateFamilyTreePanel();
+        }
+    });
+}
+
+// Redrawn when the selection or the lineage changed
+function updateFamilyTreePanel() {
+    if (!debug.showFamilyTree || !selectedBoid || selectedBoid.isPlayer) {
+        familyTreePanel.style.display = 'none';
+        return;
+    }
+    
+    familyTreePanel.style.display = 'block';
+    const lineage = simulation.lineage;
+    const key = `${selectedBoid.id}:${lineage.version}`;
+    if (key === familyTreeKey) return;
+    if (!familyTreeKey || !familyTreeKey.startsWith(`${selectedBoid.id}:`)) {
+        selectedAncestor = selectedBoid.id; // A newly selected boid starts with its own genes
+    }
+    familyTreeKey = key;
+    
+    const ancestors = lineage.ancestors(selectedBoid.id, FAMILY_TREE_DEPTH);
+    familyTreeLayout = drawFamilyTree(document.getElementById('family-tree-chart'), ancestors);
+    
+    const node = lineage.get(selectedAncestor);
+    document.getElementById('family-tree-genes').innerHTML = node ? describeAncestor(node) : '<div>Not in the lineage (yet)</div>';
+}
+
+// Fitness on a red (worst shown) to green (best shown) scale; unscored nodes are grey
+function fitnessColor(fitness, range) {
+    if (fitness === null) return '#888';
+    const t = range.max > range.min ? (fitness - range.min) / (range.max - range.min) : 1;
+    return `hsl(${Math.round(t * 120)}, 80%, 50%)`;
+}
+
+// One row per parent step, the selected boid at the bottom. Returns the node positions.
+function drawFamilyTree(canvas, ancestors) {
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+    const pad = 20;
+    ctx.clearRect(0, 0, width, height);
+    
+    const maxDepth = Math.max(0, ...ancestors.map(a => a.depth));
+    const rowHeight = maxDepth > 0 ? (height - pad * 2) / maxDepth : 0;
+    const layout = [];
+    const positions = new Map();
+    
+    for (let depth = 0; depth <= maxDepth; depth++) {
+        const row = ancestors.filter(a => a.depth === depth).sort((a, b) => a.node.id - b.node.id);
+        const y = maxDepth > 0 ? height - pad - depth * rowHeight : height / 2;
+        row.forEach(({ node }, i) => {
+            const point = { node, x: pad + 40 + (i + 0.5) * (width - pad * 2 - 40) / row.length, y };
+            layout.push(point);
+            positions.set(node.id, point);
+        });
+        
+        ctx.fillStyle = '#ccc';
+        ctx.fillText(`gen ${Math.min(...row.map(a => a.node.generation))}`, 0, y + 4);
+    }
+    
+    const scores = ancestors.map(a => a.node.fitness).filter(f => f !== null);
+    const range = { min: Math.min(...scores), max: Math.max(...scores) };
+    
+    // Branches take the parent's color
+    ctx.lineWidth = 2;
+    for (const point of layout) {
+        for (const id of point.node.parents) {
+            const parent = positions.get(id);
+            if (!parent) continue;
+            ctx.strokeStyle = fitnessColor(parent.node.fitness, range);
+            ctx.beginPath();
+            ctx.moveTo(point.x, point.y);
+            ctx.lineTo(parent.x, parent.y);
+            ctx.stroke();
+        }
+    }
+    
+    for (const point of layout) {
+        ctx.fillStyle = fitnessColor(point.node.fitness, range);
+        ctx.beginPath();
+        ctx.arc(point.x, point.y, FAMILY_TREE_NODE_RADIUS, 0, Math.PI * 2);
+        ctx.fill();
+        
+        ctx.strokeStyle = point.node.id === selectedAncestor ? 'white' : teamCss(point.node.team);
+        ctx.stroke();
+    }
+    ctx.lineWidth = 1;
+    
+    return layout;
+}
+
+function describeAncestor(node) {
+    const parents = node.parents.length > 0 ? node.parents.map(id => `#${id}`).join(', ') : 'none';
+    const fitness = node.fitness === null ? 'battle in progress' : `${node.fitness.toFixed(1)} (${node.survived ? 'survived' : 'fell'})`;
+    
+    return `
+        <h4 style="margin: 8px 0 4px; color: ${teamCss(node.team)};">#${node.id}, born gen ${node.generation}</h4>
+        <div>${LINEAGE_ORIGINS[node.origin] || node.origin}, parents: ${parents}</div>
+        <div>Fitness: ${fitness}</div>
+        <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 3px; margin-top: 4px;">
+            ${lineageGenes.map((gene, i) => `
+            <div>${gene.label}:</div><div>${formatGene(gene, node.traits[i])}</div>`).join('')}
+        </div>
+    `;
+}
+
+// Rebuilt only when the archive changed (or on demand via hallOfFameVersion = -1)
+function updateHallOfFamePanel() {
+    if (!debug.showHallOfFame) {
+        hallOfFamePanel.style.display = 'none';
+        return;
+    }
+    
+    hallOfFamePanel.style.display = 'block';
+    const hallOfFame = simulation.hallOfFame;
+    if (hallOfFame.version === hallOfFameVersion) return;
+    hallOfFameVersion = hallOfFame.version;
+    
+    let html = `<h2>Hall of Fame</h2>`;
+    
+    for (const team of simulation.teams) {
+        const teamColor = teamCss(team);
+        const entries = hallOfFame.get(team);
+        html += `<h3 style="color: ${teamColor};">${team.toUpperCase()} (${entries.length}/${hallOfFame.capacity})</h3>`;
+        
+        entries.forEach((entry, i) => {
+            const expanded = expandedChampion === `${team}:${entry.id}`;
+            html += `
+                <div style="margin: 2px 0;">
+                    <span data-champion="${team}:${entry.id}" style="cursor: pointer;">${expanded ? '▾' : '▸'} #${i + 1} Fitness ${entry.fitness.toFixed(1)} - Gen ${entry.generation}</span>
+                    <button data-champion="${team}:${entry.id}" data-action="reinject">Reinject</button>
+                </div>
+            `;
+            
+            if (expanded) {
+                html += `<div style="display: grid; grid-template-columns: 1fr 1fr; gap: 2px; margin: 0 0 6px 12px;">`;
+                for (const gene of geneSchema.filter(g => !g.brain)) {
+                    html += `<div>${gene.label}:</div><div>${formatGene(gene, getNestedProperty(entry.genes, gene.path))}</div>`;
+                }
+                html += `<div>Network:</div><div>${describeNetwork(entry.genes)}</div>`;
+                html += `</div>`;
+            }
+        });
     }
+    
+    hallOfFamePanel.innerHTML = html + `<div style="margin-top: 6px;">Reinjected genomes join the team's next generation.</div>`;
 }
 
 function createGeneHeatmap(name, values, selectedValue, constraints, team) {
@@ -966,7 +1428,7 @@ function createGeneHeatmap(name, values, selectedValue, constraints, team) {
     // Create the bars
     for (let i = 0; i < bins; i++) {
         const height = normalizedHistogram[i];
-        const color = i === selectedBin ? '#00ff00' : team === TEAMS.RED ? '#ff6666' : '#6666ff';
+        const color = i === selectedBin ? '#00ff00' : teamCss(team, 0.2);
         
         html += `<div style="width: ${100/bins}%; height: ${height}%; background-color: ${color}; margin-right: 1px;"></div>`;
     }
@@ -1016,6 +1478,61 @@ function setupDebugControls() {
                 <input type="checkbox" id="debug-gene-heatmaps"> Show Gene Heatmaps
             </label>
         </div>
+        <div>
+            <label>
+                <input type="checkbox" id="debug-hall-of-fame"> Show Hall of Fame
+            </label>
+        </div>
+        <div>
+            <label>
+                <input type="checkbox" id="debug-family-tree"> Show Family Tree (selected boid)
+            </label>
+        </div>
+        <div>
+            <h4 style="margin: 8px 0 4px;">Genome Files</h4>
+            <div>
+                Export: <select id="debug-export-kind">${selectOptions(GENOME_FILE_KINDS, 'team')}</select>
+                <select id="debug-export-team"></select>
+                <button id="debug-export">Download</button>
+            </div>
+            <div>
+                Import: <select id="debug-import-mode">${selectOptions(IMPORT_MODES, 'population')}</select>
+                <select id="debug-import-team"></select>
+            </div>
+            <div>
+                <input type="file" id="debug-import-file" accept=".json,application/json" style="width: 220px;">
+            </div>
+            <div id="debug-import-status">(imports join at the next generation)</div>
+        </div>
+        <div>
+            <label>
+                <input type="checkbox" id="debug-league"${debug.league.enabled ? ' checked' : ''}> League mode (Elo vs past generations)
+            </label>
+            <label>
+                <input type="number" id="debug-league-matches" min="0" max="20" step="1" value="${debug.league.matchesPerGeneration}" style="width: 40px;"> matches/gen
+            </label>
+        </div>
+        <div>
+            <label>
+                <input type="checkbox" id="debug-league-chart"> Show League Chart
+            </label>
+        </div>
+        <div>
+            <label>
+                Islands: <input type="number" id="debug-island-count" min="1" max="${MAX_ISLANDS}" step="1" value="${debug.islands.count}" style="width: 40px;">
+            </label>
+            <label>
+                migrate <input type="number" id="debug-migration-size" min="0" max="100" step="1" value="${debug.islands.migrationSize}" style="width: 40px;">
+            </label>
+            <label>
+                every <input type="number" id="debug-migration-interval" min="1" max="1000" step="1" value="${debug.islands.migrationInterval}" style="width: 40px;"> gens
+            </label>
+        </div>
+        <div>
+            <label>
+                <input type="checkbox" id="debug-island-chart"> Show Island Chart
+            </label>
+        </div>
         <div>
             <label>
                 <input type="checkbox" id="debug-hitboxes"> Show Hitboxes
@@ -1037,12 +1554,180 @@ function setupDebugControls() {
                 <input type="checkbox" id="debug-pause"> Pause Simulation
             </label>
         </div>
+        <div>
+            <label>
+                <input type="checkbox" id="debug-use-worker"> Run Simulation in Worker (restarts run)
+            </label>
+        </div>
+        <div>
+            <label>
+                Seed: <input type="number" id="debug-seed" min="0" max="4294967295" step="1" style="width: 100px;">
+            </label>
+            <button id="debug-apply-seed">Restart With Seed</button>
+        </div>
+        <div>
+            <label>
+                Evolution settings for: <select id="debug-evolution-scope"></select>
+            </label>
+            <span id="debug-evolution-overrides"></span>
+        </div>
+        <div>
+            <label>
+                Team Size: <input type="number" id="debug-team-size" min="1" max="5000" step="1" style="width: 60px;">
+            </label>
+            (from next generation)
+        </div>
+        <div>
+            <label>
+                Teams: <input type="number" id="debug-team-count" min="${MIN_TEAMS}" max="${MAX_TEAMS}" step="1" value="${debug.teamCount}" style="width: 40px;">
+            </label>
+            (restarts the run)
+        </div>
+        <div>
+            <label>
+                Alliances: <input type="text" id="debug-alliances" placeholder="free-for-all" value="${describeAlliances(debug.alliances)}" style="width: 140px;">
+            </label>
+            <span id="debug-alliances-now"></span>
+        </div>
+        <div id="debug-brains"></div>
+        <div>
+            <label>
+                Selection: <select id="debug-selection">${selectOptions(SELECTION_LABELS, debug.evolution.selection)}</select>
+            </label>
+        </div>
+        <div>
+            <label>
+                Parents: <select id="debug-selection-pool">${selectOptions(SELECTION_POOLS, debug.evolution.selectionPool)}</select>
+            </label>
+        </div>
+        <div>
+            <label>
+                Elitism: <input type="number" id="debug-elitism" min="0" max="100" step="1" value="${debug.evolution.elitism}" style="width: 50px;">
+            </label>
+        </div>
+        <div>
+            <label>
+                Wiped-out team breeds from: <select id="debug-wipeout-pool">${selectOptions(WIPEOUT_POOLS, debug.evolution.wipeoutPool)}</select>
+            </label>
+        </div>
+        <div>
+            <label>
+                Champions reinjected per generation: <input type="number" id="debug-champion-reinjection" min="0" max="100" step="1" value="${debug.evolution.championReinjection}" style="width: 50px;">
+            </label>
+        </div>
+        <div>
+            <label>
+                <input type="checkbox" id="debug-speciation"${debug.evolution.speciation ? ' checked' : ''}> Speciation with fitness sharing
+            </label>
+            <label>
+                threshold <input type="number" id="debug-species-threshold" min="0" max="1" step="0.01" value="${debug.evolution.speciesThreshold}" style="width: 50px;">
+            </label>
+        </div>
+        <div>
+            <label>
+                Crossover Rate: <input type="range" id="debug-crossover-rate" min="0" max="1" step="0.05" value="${debug.evolution.crossoverRate}">
+                <span id="debug-crossover-rate-value">${debug.evolution.crossoverRate.toFixed(2)}</span>
+            </label>
+        </div>
+        <div>
+            <label>
+                Crossover: <select id="debug-crossover-operator">${selectOptions(CROSSOVER_LABELS, debug.evolution.crossoverOperator)}</select>
+            </label>
+        </div>
+        <div>
+            <label>
+                Mutation: <select id="debug-mutation-operator">${selectOptions(MUTATION_LABELS, debug.evolution.mutationOperator)}</select>
+            </label>
+        </div>
+        <div>
+            <label>
+                Mutation Rate: <input type="range" id="debug-mutation-rate" min="0" max="1" step="0.01" value="${debug.evolution.mutationRate}">
+                <span id="debug-mutation-rate-value">${debug.evolution.mutationRate.toFixed(2)}</span>
+            </label>
+            (now <span id="debug-mutation-rate-now">-</span>)
+        </div>
+        <div>
+            <label>
+                Amount: <input type="number" id="debug-mutation-amount" min="0" max="2" step="0.05" value="${debug.evolution.mutationAmount}" style="width: 50px;">
+            </label>
+            <label>
+                σ: <input type="number" id="debug-mutation-sigma" min="0" max="1" step="0.01" value="${debug.evolution.mutationSigma}" style="width: 50px;">
+            </label>
+        </div>
+        <div>
+            <label>
+                Rate Schedule: <select id="debug-mutation-schedule">${selectOptions(MUTATION_SCHEDULES, debug.evolution.mutationSchedule)}</select>
+            </label>
+        </div>
+        <div>
+            <label>
+                Anneal over <input type="number" id="debug-annealing-generations" min="1" max="10000" step="1" value="${debug.evolution.annealingGenerations}" style="width: 50px;"> gens
+            </label>
+            <label>
+                to <input type="number" id="debug-min-mutation-rate" min="0" max="1" step="0.01" value="${debug.evolution.minMutationRate}" style="width: 50px;">
+            </label>
+        </div>
+        <div>
+            <label>
+                Trait Budget: <input type="number" id="debug-trait-budget" min="0" max="${Math.ceil(MAX_BUDGET)}" step="1" value="${debug.evolution.traitBudget}" style="width: 50px;">
+            </label>
+            of ${Math.ceil(MAX_BUDGET)} points (0 = unlimited)
+        </div>
+        <div>
+            <h4 style="margin: 8px 0 4px;">Fitness Weights</h4>
+            <table id="debug-fitness"></table>
+            <div id="debug-fitness-formula"></div>
+        </div>
         <div>
             <button id="debug-new-generation">New Generation</button>
         </div>
+        <div>
+            <label>
+                Train <input type="number" id="debug-train-generations" min="1" max="10000" step="1" value="50" style="width: 60px;"> generations
+            </label>
+            <button id="debug-train">Train</button>
+            <button id="debug-stop-training">Stop</button>
+        </div>
         <div>
             <button id="debug-reset">Reset Simulation</button>
         </div>
+        <div>
+            <h4 style="margin: 8px 0 4px;">Saved Runs</h4>
+            <div>
+                <select id="debug-save-slot">${selectOptions(SAVE_SLOTS, 'slot1')}</select>
+                <button id="debug-save">Save</button>
+                <button id="debug-load">Load</button>
+                <button id="debug-save-download">Download</button>
+            </div>
+            <div>
+                <input type="file" id="debug-save-upload" accept=".json,application/json" style="width: 220px;">
+            </div>
+            <div>
+                <label>
+                    <input type="checkbox" id="debug-autosave"${debug.autosave ? ' checked' : ''}> Autosave every generation
+                </label>
+            </div>
+            <div id="debug-save-status">(loading resumes at the start of the saved generation)</div>
+        </div>
+        <div>
+            <h4 style="margin: 8px 0 4px;">Benchmark</h4>
+            ${['a', 'b'].map(side => `
+            <div>
+                ${side.toUpperCase()}: <input type="file" id="debug-benchmark-${side}" accept=".json,application/json" style="width: 180px;">
+                <select id="debug-benchmark-${side}-team"></select>
+            </div>`).join('')}
+            <div>
+                <label>
+                    <input type="number" id="debug-benchmark-battles" min="2" max="1000" step="2" value="20" style="width: 50px;"> battles
+                </label>
+                <label>
+                    seed <input type="number" id="debug-benchmark-seed" min="0" step="1" value="1" style="width: 60px;">
+                </label>
+                <button id="debug-benchmark-run">Run</button>
+                <button id="debug-benchmark-stop">Stop</button>
+            </div>
+            <pre id="debug-benchmark-report" style="margin: 4px 0; white-space: pre-wrap;">(genome files or saved runs; sides swap every battle, no evolution)</pre>
+        </div>
     `;
     
     document.body.appendChild(debugPanel);
@@ -1082,40 +1767,699 @@ function setupDebugControls() {
             }
         });
         
-        document.getElementById('debug-hitboxes').addEventListener('change', function(e) {
-            debug.showHitboxes = e.target.checked;
-            updateHitboxVisibility();
+        document.getElementById('debug-family-tree').addEventListener('change', function(e) {
+            debug.showFamilyTree = e.target.checked;
+            familyTreeKey = null;
+            updateFamilyTreePanel();
         });
         
-        document.getElementById('debug-show-floor').addEventListener('change', function(e) {
-            debug.showFloor = e.target.checked;
-            updateFloorVisibility();
+        document.getElementById('debug-export').addEventListener('click', function() {
+            const kind = document.getElementById('debug-export-kind').value;
+            exportGenomes(kind, document.getElementById('debug-export-team').value);
         });
         
-        document.getElementById('debug-speed').addEventListener('input', function(e) {
-            debug.speedMultiplier = parseFloat(e.target.value);
-            document.getElementById('debug-speed-value').textContent = debug.speedMultiplier.toFixed(1);
+        document.getElementById('debug-import-file').addEventListener('change', async function(e) {
+            const file = e.target.files[0];
+            if (!file) return;
+            const status = document.getElementById('debug-import-status');
+            
+            try {
+                const mode = document.getElementById('debug-import-mode').value;
+                const team = document.getElementById('debug-import-team').value;
+                status.textContent = importGenomes(readGenomeFile(await file.text()), mode, team);
+            } catch (error) {
+                status.textContent = `Import failed: ${error.message}`;
+            }
+            e.target.value = '';
         });
         
-        document.getElementById('debug-pause').addEventListener('change', function(e) {
+        document.getElementById('debug-hall-of-fame').addEventListener('change', function(e) {
+            debug.showHallOfFame = e.target.checked;
+            hallOfFameVersion = -1;
+            updateHallOfFamePanel();
+        });
+        
+        document.getElementById('debug-league').addEventListener('change', function(e) {
+            setLeague({ enabled: e.target.checked });
+        });
+        
+        document.getElementById('debug-league-matches').addEventListener('change', function(e) {
+            const matchesPerGeneration = parseInt(e.target.value, 10);
+            if (matchesPerGeneration >= 0) {
+                setLeague({ matchesPerGeneration });
+            }
+        });
+        
+        document.getElementById('debug-league-chart').addEventListener('change', function(e) {
+            debug.showLeague = e.target.checked;
+            leagueVersion = -1;
+            updateLeaguePanel();
+        });
+        
+        document.getElementById('debug-island-count').addEventListener('change', function(e) {
+            const count = parseInt(e.target.value, 10);
+            if (count >= 1 && count <= MAX_ISLANDS) {
+                setIslands({ count });
+            }
+        });
+        
+        document.getElementById('debug-migration-size').addEventListener('change', function(e) {
+            const migrationSize = parseInt(e.target.value, 10);
+            if (migrationSize >= 0) {
+                setIslands({ migrationSize });
+            }
+        });
+        
+        document.getElementById('debug-migration-interval').addEventListener('change', function(e) {
+            const migrationInterval = parseInt(e.target.value, 10);
+            if (migrationInterval >= 1) {
+                setIslands({ migrationInterval });
+            }
+        });
+        
+        document.getElementById('debug-island-chart').addEventListener('change', function(e) {
+            debug.showIslands = e.target.checked;
+            islandsVersion = -1;
+            updateIslandPanel();
+        });
+        
+        document.getElementById('debug-hitboxes').addEventListener('change', function(e) {
+            debug.showHitboxes = e.target.checked;
+            updateHitboxVisibility();
+        });
+        
+        document.getElementById('debug-show-floor').addEventListener('change', function(e) {
+            debug.showFloor = e.target.checked;
+            updateFloorVisibility();
+        });
+        
+        document.getElementById('debug-speed').addEventListener('input', function(e) {
+            debug.speedMultiplier = parseFloat(e.target.value);
+            runner.command('setSpeed', debug.speedMultiplier);
+            document.getElementById('debug-speed-value').textContent = debug.speedMultiplier.toFixed(1);
+        });
+        
+        document.getElementById('debug-pause').addEventListener('change', function(e) {
             debug.paused = e.target.checked;
+            runner.command('setPaused', debug.paused);
+        });
+        
+        document.getElementById('debug-use-worker').addEventListener('change', function(e) {
+            debug.useWorker = e.target.checked;
+            restartSimulation();
         });
         
         document.getElementById('debug-new-generation').addEventListener('click', function() {
-            endBattle();
+            runner.command('endBattle');
+        });
+        
+        document.getElementById('debug-train').addEventListener('click', function() {
+            const generations = parseInt(document.getElementById('debug-train-generations').value, 10);
+            if (generations > 0) {
+                runner.command('train', generations);
+            }
+        });
+        
+        document.getElementById('debug-stop-training').addEventListener('click', function() {
+            runner.command('stopTraining');
         });
         
         document.getElementById('debug-reset').addEventListener('click', function() {
             resetSimulation();
         });
+        
+        document.getElementById('debug-save').addEventListener('click', async function() {
+            const slot = document.getElementById('debug-save-slot').value;
+            await reportSave(async () => {
+                const save = await runner.requestSave();
+                await writeSaveSlot(slot, save);
+                return `Saved generation ${save.generation} to ${SAVE_SLOTS[slot]}`;
+            });
+            updateSaveSlots();
+        });
+        
+        document.getElementById('debug-load').addEventListener('click', function() {
+            const slot = document.getElementById('debug-save-slot').value;
+            reportSave(async () => {
+                const save = await readSaveSlot(slot);
+                if (!save) throw new Error(`${SAVE_SLOTS[slot]} is empty`);
+                loadRun(readSave(save));
+                return `Resumed generation ${save.generation} from ${SAVE_SLOTS[slot]}`;
+            });
+        });
+        
+        document.getElementById('debug-save-download').addEventListener('click', function() {
+            reportSave(async () => {
+                const save = await runner.requestSave();
+                downloadJSON(`run-${save.settings.seed}-gen${save.generation}.json`, save);
+                return `Downloaded generation ${save.generation}`;
+            });
+        });
+        
+        document.getElementById('debug-save-upload').addEventListener('change', async function(e) {
+            const file = e.target.files[0];
+            if (!file) return;
+            await reportSave(async () => {
+                const save = readSave(await file.text());
+                loadRun(save);
+                return `Resumed generation ${save.generation} from ${file.name}`;
+            });
+            e.target.value = '';
+        });
+        
+        document.getElementById('debug-autosave').addEventListener('change', function(e) {
+            debug.autosave = e.target.checked;
+            localStorage.setItem(AUTOSAVE_STORAGE_KEY, String(debug.autosave));
+        });
+        
+        updateSaveSlots();
+        
+        for (const side of ['a', 'b']) {
+            document.getElementById(`debug-benchmark-${side}`).addEventListener('change', async function(e) {
+                const file = e.target.files[0];
+                const teams = document.getElementById(`debug-benchmark-${side}-team`);
+                benchmarkFiles[side] = null;
+                teams.innerHTML = '';
+                if (!file) return;
+                
+                try {
+                    benchmarkFiles[side] = { name: file.name, teams: readPopulations(await file.text()) };
+                    const names = Object.keys(benchmarkFiles[side].teams);
+                    teams.innerHTML = selectOptions(Object.fromEntries(names.map(team => [team, team])), names[0]);
+                } catch (error) {
+                    document.getElementById('debug-benchmark-report').textContent = `${file.name}: ${error.message}`;
+                }
+            });
+        }
+        
+        document.getElementById('debug-benchmark-run').addEventListener('click', function() {
+            startBenchmark();
+        });
+        
+        document.getElementById('debug-benchmark-stop').addEventListener('click', function() {
+            if (benchmark) showBenchmarkReport('Stopped');
+        });
+        
+        document.getElementById('debug-evolution-scope').addEventListener('change', function(e) {
+            debug.evolutionScope = e.target.value;
+            refreshEvolutionControls();
+        });
+        
+        document.getElementById('debug-team-size').addEventListener('change', function(e) {
+            const teamSize = parseInt(e.target.value, 10);
+            if (teamSize > 0) {
+                setEvolution({ teamSize });
+            }
+        });
+        
+        document.getElementById('debug-selection').addEventListener('change', function(e) {
+            setEvolution({ selection: e.target.value });
+        });
+        
+        document.getElementById('debug-selection-pool').addEventListener('change', function(e) {
+            setEvolution({ selectionPool: e.target.value });
+        });
+        
+        document.getElementById('debug-team-count').addEventListener('change', function(e) {
+            const teamCount = parseInt(e.target.value, 10);
+            if (teamCount >= MIN_TEAMS && teamCount <= MAX_TEAMS && teamCount !== debug.teamCount) {
+                debug.teamCount = teamCount;
+                restartSimulation();
+            }
+        });
+        
+        document.getElementById('debug-alliances').addEventListener('change', function(e) {
+            debug.alliances = parseAlliances(e.target.value);
+            runner.command('setAlliances', debug.alliances);
+            updateTeamControls();
+        });
+        
+        // Per-team controls are rebuilt when the team count changes, so listen on their containers
+        document.getElementById('debug-brains').addEventListener('change', function(e) {
+            const team = e.target.dataset.team;
+            debug.brains[team] = e.target.value;
+            runner.command('setBrain', team, e.target.value);
+        });
+        
+        document.getElementById('debug-fitness').addEventListener('change', function(e) {
+            updateFitnessDefinition(e.target.dataset.team);
+        });
+        
+        updateTeamControls();
+        
+        document.getElementById('debug-elitism').addEventListener('change', function(e) {
+            const elitism = parseInt(e.target.value, 10);
+            if (elitism >= 0) {
+                setEvolution({ elitism });
+            }
+        });
+        
+        document.getElementById('debug-speciation').addEventListener('change', function(e) {
+            setEvolution({ speciation: e.target.checked });
+        });
+        
+        document.getElementById('debug-wipeout-pool').addEventListener('change', function(e) {
+            setEvolution({ wipeoutPool: e.target.value });
+        });
+        
+        document.getElementById('debug-champion-reinjection').addEventListener('change', function(e) {
+            const championReinjection = parseInt(e.target.value, 10);
+            if (championReinjection >= 0) {
+                setEvolution({ championReinjection });
+            }
+        });
+        
+        document.getElementById('debug-crossover-rate').addEventListener('input', function(e) {
+            setEvolution({ crossoverRate: parseFloat(e.target.value) });
+            document.getElementById('debug-crossover-rate-value').textContent = parseFloat(e.target.value).toFixed(2);
+        });
+        
+        document.getElementById('debug-crossover-operator').addEventListener('change', function(e) {
+            setEvolution({ crossoverOperator: e.target.value });
+        });
+        
+        document.getElementById('debug-mutation-operator').addEventListener('change', function(e) {
+            setEvolution({ mutationOperator: e.target.value });
+        });
+        
+        document.getElementById('debug-mutation-rate').addEventListener('input', function(e) {
+            setEvolution({ mutationRate: parseFloat(e.target.value) });
+            document.getElementById('debug-mutation-rate-value').textContent = parseFloat(e.target.value).toFixed(2);
+        });
+        
+        document.getElementById('debug-mutation-schedule').addEventListener('change', function(e) {
+            setEvolution({ mutationSchedule: e.target.value });
+        });
+        
+        // Plain numeric settings
+        const numericSettings = {
+            'debug-mutation-amount': 'mutationAmount',
+            'debug-mutation-sigma': 'mutationSigma',
+            'debug-annealing-generations': 'annealingGenerations',
+            'debug-min-mutation-rate': 'minMutationRate',
+            'debug-trait-budget': 'traitBudget',
+            'debug-species-threshold': 'speciesThreshold'
+        };
+        for (const [id, key] of Object.entries(numericSettings)) {
+            document.getElementById(id).addEventListener('change', function(e) {
+                const value = parseFloat(e.target.value);
+                if (value >= 0) {
+                    setEvolution({ [key]: value });
+                }
+            });
+        }
+        
+        
+        document.getElementById('debug-apply-seed').addEventListener('click', function() {
+            // Empty field rolls a fresh seed
+            const value = document.getElementById('debug-seed').value.trim();
+            resetSimulation(value === '' ? randomSeed() : Number(value) >>> 0);
+        });
+        
+        updateSeedDisplay();
+        refreshEvolutionControls();
     }, 100);
 }
 
-function updateHitboxVisibility() {
-    for (const boid of boids) {
-        if (boid.hitbox) {
-            boid.hitbox.visible = debug.showHitboxes && !(boid.isPlayer && isPlayerInvisible);
+// Brain selects, fitness weight columns and the alliance summary, one entry per team in the run
+function updateTeamControls() {
+    const brains = document.getElementById('debug-brains');
+    if (!brains) return;
+    const teams = simulation.teams;
+    
+    brains.innerHTML = `Brain:` + teams.map(team => `
+        <label style="color: ${teamCss(team)};">
+            ${team.toUpperCase()} <select data-team="${team}">${selectOptions(BRAIN_TYPES, debug.brains[team])}</select>
+        </label>`).join('');
+    
+    document.getElementById('debug-fitness').innerHTML = `
+        <tr><th></th>${teams.map(team => `<th style="color: ${teamCss(team)};">${team[0].toUpperCase() + team.slice(1)}</th>`).join('')}</tr>
+        ${Object.entries(FITNESS_TERMS).map(([term, { label }]) => `
+        <tr>
+            <td>${label}</td>
+            ${teams.map(team => `
+            <td><input type="number" step="any" data-team="${team}" data-term="${term}" value="${fitnessWeight(team, term)}" style="width: 50px;"></td>`).join('')}
+        </tr>`).join('')}
+    `;
+    
+    const teamNames = Object.fromEntries(teams.map(team => [team, team[0].toUpperCase() + team.slice(1)]));
+    for (const id of ['debug-export-team', 'debug-import-team']) {
+        const select = document.getElementById(id);
+        select.innerHTML = selectOptions(teamNames, teams.includes(select.value) ? select.value : teams[0]);
+    }
+    
+    const scope = document.getElementById('debug-evolution-scope');
+    if (!teams.includes(debug.evolutionScope)) debug.evolutionScope = 'all';
+    scope.innerHTML = selectOptions({
+        all: 'All teams',
+        ...Object.fromEntries(teams.map(team => [team, team[0].toUpperCase() + team.slice(1)]))
+    }, debug.evolutionScope);
+    refreshEvolutionControls();
+    
+    const alliances = simulation.alliances;
+    document.getElementById('debug-alliances-now').textContent = alliances.length > 0 ? `(${describeAlliances(alliances)})` : '(free-for-all)';
+    updateFitnessFormulaDisplay();
+}
+
+// <option> list for a { value: label } map
+function selectOptions(labels, selected) {
+    return Object.entries(labels).map(([value, label]) =>
+        `<option value="${value}"${value === selected ? ' selected' : ''}>${label}</option>`
+    ).join('');
+}
+
+// Downloads the current population as a genome file: the selected boid's
+// genome, one team or every team
+function exportGenomes(kind, team) {
+    const genomesOf = t => simulation.boids.filter(b => b.team === t && !b.isPlayer).map(b => b.genes);
+    let teams;
+    if (kind === 'genome') {
+        if (!selectedBoid || selectedBoid.isPlayer) {
+            document.getElementById('debug-import-status').textContent = 'Select a boid first (boid info)';
+            return;
+        }
+        teams = { [selectedBoid.team]: { brain: simulation.brains[selectedBoid.team], genomes: [selectedBoid.genes] } };
+    } else {
+        const exported = kind === 'team' ? [team] : simulation.teams;
+        teams = Object.fromEntries(exported.map(t => [t, { brain: simulation.brains[t], genomes: genomesOf(t) }]));
+    }
+    
+    const file = createGenomeFile(kind, teams, { generation: simulation.generation, seed: simulation.seed });
+    const name = kind === 'genome' ? `boid-${selectedBoid.id}` : kind === 'team' ? team : 'populations';
+    downloadJSON(`${name}-gen${simulation.generation}.json`, file);
+}
+
+// Hands a validated genome file to the run; returns a status line. Takes the
+// file's team matching `team`, or else its first one.
+function importGenomes(file, mode, team) {
+    const [source, { brain, genomes }] = Object.entries(file.teams).find(([t]) => t === team) || Object.entries(file.teams)[0];
+    
+    let target = team;
+    if (mode === 'newTeam') {
+        if (simulation.teams.length >= MAX_TEAMS) {
+            throw new Error(`At most ${MAX_TEAMS} teams`);
         }
+        target = teamIds(simulation.teams.length + 1)[simulation.teams.length];
+    }
+    if (brain && mode !== 'population') debug.brains[target] = brain;
+    
+    runner.command('importGenomes', mode, team, genomes, brain);
+    updateTeamControls();
+    
+    const count = `${genomes.length} genome${genomes.length === 1 ? '' : 's'} from ${source}`;
+    return mode === 'newTeam' ? `${count} start team ${target} next generation`
+        : mode === 'replace' ? `${count} replace ${target} next generation`
+        : `${count} join ${target} next generation`;
+}
+
+function downloadJSON(filename, data) {
+    const url = URL.createObjectURL(new Blob([JSON.stringify(data)], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+function openSaveDatabase() {
+    if (!saveDatabase) {
+        saveDatabase = new Promise((resolve, reject) => {
+            const request = indexedDB.open(SAVE_DATABASE, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(SAVE_STORE);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return saveDatabase;
+}
+
+// Runs one request against the save store; resolves with its result
+async function saveStoreRequest(mode, makeRequest) {
+    const database = await openSaveDatabase();
+    return new Promise((resolve, reject) => {
+        const request = makeRequest(database.transaction(SAVE_STORE, mode).objectStore(SAVE_STORE));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function readSaveSlot(slot) {
+    return saveStoreRequest('readonly', store => store.get(slot));
+}
+
+function writeSaveSlot(slot, save) {
+    return saveStoreRequest('readwrite', store => store.put(save, slot));
+}
+
+// Labels each slot with the generation and time of its save
+async function updateSaveSlots() {
+    const select = document.getElementById('debug-save-slot');
+    try {
+        for (const option of select.options) {
+            const save = await readSaveSlot(option.value);
+            option.textContent = save
+                ? `${SAVE_SLOTS[option.value]}: gen ${save.generation}, ${new Date(save.savedAt).toLocaleString()}`
+                : `${SAVE_SLOTS[option.value]}: empty`;
+        }
+    } catch (error) {
+        document.getElementById('debug-save-status').textContent = `Save slots unavailable: ${error.message}`;
+    }
+}
+
+// Runs a save action, showing its status line or error
+async function reportSave(action) {
+    const status = document.getElementById('debug-save-status');
+    try {
+        status.textContent = await action();
+    } catch (error) {
+        status.textContent = `Failed: ${error.message}`;
+    }
+}
+
+async function autosave() {
+    await reportSave(async () => {
+        const save = await runner.requestSave();
+        await writeSaveSlot('autosave', save);
+        return `Autosaved generation ${save.generation}`;
+    });
+    updateSaveSlots();
+}
+
+// Fights the two chosen populations in headless arenas, a slice per frame (see updateBenchmark)
+function startBenchmark() {
+    const report = document.getElementById('debug-benchmark-report');
+    const population = side => {
+        const file = benchmarkFiles[side];
+        if (!file) throw new Error(`Choose a file for ${side.toUpperCase()}`);
+        const team = document.getElementById(`debug-benchmark-${side}-team`).value;
+        return { name: `${file.name}:${team}`, ...file.teams[team] };
+    };
+    
+    try {
+        benchmark = new Benchmark(population('a'), population('b'), {
+            battles: parseInt(document.getElementById('debug-benchmark-battles').value, 10),
+            seed: parseInt(document.getElementById('debug-benchmark-seed').value, 10) || 0,
+            battleDuration: simulation.battleDuration
+        });
+        report.textContent = `Battle 0/${benchmark.battles}`;
+    } catch (error) {
+        benchmark = null;
+        report.textContent = error.message;
+    }
+}
+
+function updateBenchmark() {
+    if (!benchmark) return;
+    
+    if (benchmark.run(BENCHMARK_SLICE_MS)) {
+        const { played, battles } = benchmark.progress;
+        document.getElementById('debug-benchmark-report').textContent = `Battle ${played}/${battles}`;
+    } else {
+        showBenchmarkReport();
+    }
+}
+
+// Shows the report over the battles played, and ends the benchmark
+function showBenchmarkReport(note = null) {
+    const lines = benchmark.progress.played > 0 ? describeBenchmark(benchmark.report()) : [];
+    document.getElementById('debug-benchmark-report').textContent = [note, ...lines].filter(Boolean).join('\n');
+    benchmark = null;
+}
+
+// Replaces the run with a saved one: the debug settings take the save's, and a
+// new runner resumes from its checkpoint
+function loadRun(save) {
+    const { teamEvolution, fitness, brains, league, islands, teamCount, alliances } = save.settings;
+    
+    // The first team's settings become the shared ones, other teams keep their differences
+    const shared = Object.values(teamEvolution)[0];
+    debug.evolution = createEvolutionSettings(shared);
+    debug.teamEvolution = Object.fromEntries(Object.entries(teamEvolution).map(([team, settings]) => [team,
+        Object.fromEntries(Object.entries(settings).filter(([key, value]) => JSON.stringify(value) !== JSON.stringify(shared[key])))]));
+    debug.fitness = { ...debug.fitness, ...fitness };
+    debug.brains = { ...debug.brains, ...brains };
+    debug.league = createLeagueSettings(league);
+    debug.islands = createIslandSettings(islands);
+    debug.teamCount = teamCount;
+    debug.alliances = alliances;
+    
+    runner.dispose();
+    selectedBoid = null;
+    boidInfoPanel.style.display = 'none';
+    geneVisualizationPanel.style.display = 'none';
+    initializeSimulation(saveOptions(save));
+    
+    const { generations, wins, draws } = save.checkpoint.battleHistory;
+    standings = generations.length > 0 ? { wins, draws } : null;
+    updateDiversityDisplay(null);
+    document.getElementById('generation').textContent = save.generation;
+    document.getElementById('team-counts').innerHTML = '';
+    
+    document.getElementById('debug-team-count').value = teamCount;
+    document.getElementById('debug-alliances').value = describeAlliances(alliances);
+    document.getElementById('debug-league').checked = debug.league.enabled;
+    document.getElementById('debug-league-matches').value = debug.league.matchesPerGeneration;
+    document.getElementById('debug-island-count').value = debug.islands.count;
+    document.getElementById('debug-migration-size').value = debug.islands.migrationSize;
+    document.getElementById('debug-migration-interval').value = debug.islands.migrationInterval;
+    hallOfFameVersion = -1;
+    leagueVersion = -1;
+    islandsVersion = -1;
+    familyTreeKey = null;
+    updateTeamControls();
+}
+
+// Breeding settings apply from the next generation on, to every team or just
+// the one picked in the scope select. Setting all teams drops those overrides.
+function setEvolution(settings) {
+    const team = debug.evolutionScope;
+    if (team === 'all') {
+        Object.assign(debug.evolution, settings);
+        for (const overrides of Object.values(debug.teamEvolution)) {
+            for (const key of Object.keys(settings)) delete overrides[key];
+        }
+        runner.command('setEvolution', settings);
+    } else {
+        debug.teamEvolution[team] = { ...debug.teamEvolution[team], ...settings };
+        runner.command('setEvolution', settings, team);
+    }
+    updateMutationRateDisplay();
+    updateEvolutionOverrides();
+}
+
+// Settings the evolution controls show: the team's own, or the shared ones
+function scopedEvolution() {
+    const team = debug.evolutionScope;
+    return { ...debug.evolution, ...(team === 'all' ? {} : debug.teamEvolution[team]) };
+}
+
+// Evolution control id -> setting
+const EVOLUTION_CONTROLS = {
+    'debug-team-size': 'teamSize',
+    'debug-selection': 'selection',
+    'debug-selection-pool': 'selectionPool',
+    'debug-elitism': 'elitism',
+    'debug-wipeout-pool': 'wipeoutPool',
+    'debug-champion-reinjection': 'championReinjection',
+    'debug-speciation': 'speciation',
+    'debug-species-threshold': 'speciesThreshold',
+    'debug-crossover-rate': 'crossoverRate',
+    'debug-crossover-operator': 'crossoverOperator',
+    'debug-mutation-operator': 'mutationOperator',
+    'debug-mutation-rate': 'mutationRate',
+    'debug-mutation-amount': 'mutationAmount',
+    'debug-mutation-sigma': 'mutationSigma',
+    'debug-mutation-schedule': 'mutationSchedule',
+    'debug-annealing-generations': 'annealingGenerations',
+    'debug-min-mutation-rate': 'minMutationRate',
+    'debug-trait-budget': 'traitBudget'
+};
+
+// Loads the scoped settings into the evolution controls
+function refreshEvolutionControls() {
+    if (!document.getElementById('debug-team-size')) return;
+    const settings = scopedEvolution();
+    
+    for (const [id, key] of Object.entries(EVOLUTION_CONTROLS)) {
+        const control = document.getElementById(id);
+        if (control.type === 'checkbox') {
+            control.checked = settings[key];
+        } else {
+            control.value = settings[key];
+        }
+    }
+    document.getElementById('debug-crossover-rate-value').textContent = settings.crossoverRate.toFixed(2);
+    document.getElementById('debug-mutation-rate-value').textContent = settings.mutationRate.toFixed(2);
+    updateMutationRateDisplay();
+    updateEvolutionOverrides();
+}
+
+// Lists the teams that breed differently from the shared settings
+function updateEvolutionOverrides() {
+    const display = document.getElementById('debug-evolution-overrides');
+    if (!display) return;
+    
+    const teams = simulation.teams.filter(team => Object.keys(debug.teamEvolution[team] || {}).length > 0);
+    display.innerHTML = teams.length > 0
+        ? '(own settings: ' + teams.map(team => `<span style="color: ${teamCss(team)};">${team}</span>`).join(', ') + ')'
+        : '';
+}
+
+function setLeague(settings) {
+    Object.assign(debug.league, settings);
+    runner.command('setLeague', settings);
+    leagueVersion = -1;
+}
+
+// Island changes apply when the current generation ends
+function setIslands(settings) {
+    Object.assign(debug.islands, settings);
+    runner.command('setIslands', settings);
+    islandsVersion = -1;
+}
+
+// Annealed rate the next generation will be bred with
+function updateMutationRateDisplay() {
+    const display = document.getElementById('debug-mutation-rate-now');
+    if (display) {
+        display.textContent = mutationRateFor(scopedEvolution(), simulation.generation + 1).toFixed(3);
+    }
+}
+
+function loadFitnessDefinitions() {
+    try {
+        return createFitnessDefinitions(JSON.parse(localStorage.getItem(FITNESS_STORAGE_KEY)) || {});
+    } catch (error) {
+        console.warn("Ignoring stored fitness definitions: ", error);
+        return createFitnessDefinitions();
+    }
+}
+
+function fitnessWeight(team, term) {
+    const entry = debug.fitness[team].find(t => t.term === term);
+    return entry ? entry.weight : 0;
+}
+
+// Rebuilds a team's definition from the weight inputs; scores from the current battle on
+function updateFitnessDefinition(team) {
+    const terms = [...document.querySelectorAll(`#debug-fitness input[data-team="${team}"]`)]
+        .map(input => ({ term: input.dataset.term, weight: parseFloat(input.value) }));
+    
+    debug.fitness[team] = createFitnessDefinition(terms);
+    runner.command('setFitness', team, debug.fitness[team]);
+    localStorage.setItem(FITNESS_STORAGE_KEY, JSON.stringify(debug.fitness));
+    updateFitnessFormulaDisplay();
+}
+
+function updateFitnessFormulaDisplay() {
+    document.getElementById('debug-fitness-formula').innerHTML = simulation.teams
+        .map(team => `<div>${team.toUpperCase()}: ${describeFitness(debug.fitness[team])}</div>`)
+        .join('');
+}
+
+function updateHitboxVisibility() {
+    for (const [boid, view] of boidViews) {
+        view.hitbox.visible = debug.showHitboxes && !boid.isDead && !(boid.isPlayer && simulation.playerInvisible);
     }
     
     for (const wall of worldBounds) {
@@ -1135,6 +2479,8 @@ function onMouseClick(event) {
     if (event.target.closest('#debug-panel') || 
         event.target.closest('#boid-info-panel') || 
         event.target.closest('#gene-visualization-panel') ||
+        event.target.closest('#hall-of-fame-panel') ||
+        event.target.closest('#family-tree-panel') ||
         event.target.closest('#start-button')) {
         return;
     }
@@ -1145,14 +2491,14 @@ function onMouseClick(event) {
         raycaster.setFromCamera(new THREE.Vector2(0, 0), camera);
         
         // Get all meshes from non-dead boids
-        const boidMeshes = boids.filter(b => !b.isDead).map(b => b.mesh);
+        const boidMeshes = simulation.boids.filter(b => !b.isDead).map(b => boidViews.get(b).mesh);
         
         // Check for intersections
         const intersects = raycaster.intersectObjects(boidMeshes);
         
         if (intersects.length > 0) {
             // Find the boid corresponding to the clicked mesh
-            const clickedBoid = boids.find(b => b.mesh === intersects[0].object);
+            const clickedBoid = intersects[0].object.userData.boid;
             if (clickedBoid) {
                 selectedBoid = clickedBoid;
                 updateBoidInfoPanel();
@@ -1174,24 +2520,10 @@ function onWindowResize() {
     underwaterUniforms.resolution.value.set(window.innerWidth, window.innerHeight);
 }
 
-class Boid {
-    constructor(team, genes, isPlayer = false) {
-        this.team = team;
-        this.genes = genes || createRandomGenes();
-        this.isPlayer = isPlayer;
-        this.position = new THREE.Vector3();
-        this.velocity = new THREE.Vector3();
-        this.acceleration = new THREE.Vector3();
-        this.health = this.genes.health;
-        this.maxHealth = this.genes.health;
-        this.damage = this.genes.damage;
-        this.isDead = false;
-        this.lastAttackTime = 0;
-        this.attackCooldown = this.genes.attackCooldown;
-        this.kills = 0;
-        this.damageTaken = 0;
-        this.damageDealt = 0;
-        this.fitnessScore = 0;
+// Render adapter for one simulation boid: owns its mesh, hitbox, health bar and effects
+class BoidView {
+    constructor(boid) {
+        this.boid = boid;
         
         // Create mesh as a sphere
         this.createBoidMesh();
@@ -1199,7 +2531,7 @@ class Boid {
         // Add hitbox
         const hitboxGeometry = new THREE.SphereGeometry(COLLISION_DISTANCE/2, 16, 16);
         const hitboxMaterial = new THREE.MeshBasicMaterial({
-            color: this.team === TEAMS.RED ? 0xff0000 : 0x0000ff,
+            color: TEAM_COLORS[this.boid.team],
             wireframe: true,
             transparent: true,
             opacity: 0.3
@@ -1212,34 +2544,38 @@ class Boid {
         // Add health bar
         this.createHealthBar();
         
-        // Initialize starting position
-        this.initializePosition();
+        if (this.boid.isPlayer) {
+            this.mesh.visible = !simulation.playerInvisible;
+            this.hitbox.visible = debug.showHitboxes && !simulation.playerInvisible;
+        }
+        
+        this.updateMesh();
     }
-
+    
     createBoidMesh() {
         // Create a sphere for the boid
         const sphereGeometry = new THREE.SphereGeometry(BOID_SIZE, 24, 24);
         
         // Set material based on team
         const sphereMaterial = new THREE.MeshStandardMaterial({
-            color: this.team === TEAMS.RED ? 0xff3333 : 0x3333ff,
+            color: TEAM_COLORS[this.boid.team],
             metalness: 0.7,
             roughness: 0.2,
-            emissive: this.team === TEAMS.RED ? 0x330000 : 0x000033,
+            emissive: teamColor(this.boid.team).multiplyScalar(0.2),
             emissiveIntensity: 0.5
         });
         
         this.mesh = new THREE.Mesh(sphereGeometry, sphereMaterial);
         
         // Make player boid distinct
-        if (this.isPlayer) {
+        if (this.boid.isPlayer) {
             sphereMaterial.emissiveIntensity = 0.8;
             this.mesh.scale.set(1.5, 1.5, 1.5);
         }
         
         this.mesh.castShadow = true;
         this.mesh.receiveShadow = true;
-        this.mesh.userData.boid = this;
+        this.mesh.userData.boid = this.boid;
         scene.add(this.mesh);
     }
     
@@ -1266,348 +2602,88 @@ class Boid {
         });
         
         this.healthBarBg = new THREE.Mesh(healthBarBgGeometry, healthBarBgMaterial);
-        this.healthBarBg.position.y = BOID_SIZE * 2;
-        scene.add(this.healthBarBg);
-    }
-    
-    updateHealthBar() {
-        if (this.isDead) {
-            this.healthBar.visible = false;
-            this.healthBarBg.visible = false;
-            return;
-        }
-        
-        // Position above boid
-        this.healthBarBg.position.copy(this.position);
-        this.healthBarBg.position.y += BOID_SIZE * 2;
-        this.healthBarBg.lookAt(camera.position);
-        
-        this.healthBar.position.copy(this.position);
-        this.healthBar.position.y += BOID_SIZE * 2;
-        this.healthBar.lookAt(camera.position);
-        
-        // Scale health bar based on current health
-        const healthPercent = this.health / this.maxHealth;
-        this.healthBar.scale.x = healthPercent;
-        
-        // Position health bar to align left
-        const offset = (1 - healthPercent) * 6;
-        this.healthBar.position.x = this.healthBarBg.position.x - offset;
-        
-        // Update color based on health
-        if (healthPercent > 0.6) {
-            this.healthBar.material.color.set(0x00ff00);
-        } else if (healthPercent > 0.3) {
-            this.healthBar.material.color.set(0xffff00);
-        } else {
-            this.healthBar.material.color.set(0xff0000);
-        }
-    }
-    
-    initializePosition() {
-        const offset = WORLD_SIZE * 0.4;
-        
-        if (this.team === TEAMS.RED) {
-            this.position.set(
-                THREE.MathUtils.randFloat(-offset, offset),
-                THREE.MathUtils.randFloat(-offset/2, offset/2),
-                -WORLD_SIZE * 0.6
-            );
-        } else {
-            this.position.set(
-                THREE.MathUtils.randFloat(-offset, offset),
-                THREE.MathUtils.randFloat(-offset/2, offset/2),
-                WORLD_SIZE * 0.6
-            );
-        }
-        
-        // Ensure boid starts above the floor
-        if (this.position.y < FLOOR_Y_POSITION + BOID_SIZE) {
-            this.position.y = FLOOR_Y_POSITION + BOID_SIZE + 10; // Add some extra margin
-        }
-        
-        // Random initial velocity towards the center
-        this.velocity.set(
-            THREE.MathUtils.randFloat(-1, 1),
-            THREE.MathUtils.randFloat(-1, 1),
-            this.team === TEAMS.RED ? THREE.MathUtils.randFloat(0, 1) : THREE.MathUtils.randFloat(-1, 0)
-        );
-        this.velocity.normalize().multiplyScalar(this.genes.maxSpeed * 0.5);
-        
-        // Update mesh position
-        this.updateMesh();
-    }
-    
-    applyForce(force) {
-        this.acceleration.add(force);
-    }
-    
-    seek(target) {
-        const desired = new THREE.Vector3().subVectors(target, this.position);
-        desired.normalize();
-        desired.multiplyScalar(this.genes.maxSpeed);
-        
-        const steer = new THREE.Vector3().subVectors(desired, this.velocity);
-        steer.clampLength(0, this.genes.maxForce);
-        
-        return steer;
-    }
-    
-    separate(boids) {
-        const desiredSeparation = this.genes.separation.radius;
-        const steer = new THREE.Vector3();
-        let count = 0;
-        
-        for (const other of boids) {
-            if (other === this || other.isDead) continue;
-            
-            const dist = this.position.distanceTo(other.position);
-            
-            if (dist > 0 && dist < desiredSeparation) {
-                const diff = new THREE.Vector3().subVectors(this.position, other.position);
-                diff.normalize();
-                diff.divideScalar(dist); // Weight by distance
-                steer.add(diff);
-                count++;
-            }
-        }
-        
-        if (count > 0) {
-            steer.divideScalar(count);
-            
-            if (steer.length() > 0) {
-                steer.normalize();
-                steer.multiplyScalar(this.genes.maxSpeed);
-                steer.sub(this.velocity);
-                steer.clampLength(0, this.genes.maxForce);
-            }
-        }
-        
-        return steer.multiplyScalar(this.genes.separation.weight);
-    }
-    
-    align(boids) {
-        const neighborDist = this.genes.alignment.radius;
-        const sum = new THREE.Vector3();
-        let count = 0;
-        
-        for (const other of boids) {
-            if (other === this || other.isDead || other.team !== this.team) continue;
-            if (isPlayerInvisible && other.isPlayer) continue;
-            
-            const dist = this.position.distanceTo(other.position);
-            
-            if (dist > 0 && dist < neighborDist) {
-                sum.add(other.velocity);
-                count++;
-            }
-        }
-        
-        if (count > 0) {
-            sum.divideScalar(count);
-            sum.normalize();
-            sum.multiplyScalar(this.genes.maxSpeed);
-            
-            const steer = new THREE.Vector3().subVectors(sum, this.velocity);
-            steer.clampLength(0, this.genes.maxForce);
-            return steer.multiplyScalar(this.genes.alignment.weight);
-        }
-        
-        return new THREE.Vector3();
-    }
-    
-    cohesion(boids) {
-        const neighborDist = this.genes.cohesion.radius;
-        const sum = new THREE.Vector3();
-        let count = 0;
-        
-        for (const other of boids) {
-            if (other === this || other.isDead || other.team !== this.team) continue;
-            if (isPlayerInvisible && other.isPlayer) continue;
-            
-            const dist = this.position.distanceTo(other.position);
-            
-            if (dist > 0 && dist < neighborDist) {
-                sum.add(other.position);
-                count++;
-            }
-        }
-        
-        if (count > 0) {
-            sum.divideScalar(count);
-            return this.seek(sum).multiplyScalar(this.genes.cohesion.weight);
-        }
-        
-        return new THREE.Vector3();
-    }
-    
-    charge(boids) {
-        const chargeDist = this.genes.charge.radius;
-        const enemies = [];
-        
-        // Only charge if health is above threshold for aggression
-        if (this.health < this.maxHealth * this.genes.defensiveness) {
-            return new THREE.Vector3();
-        }
-        
-        for (const other of boids) {
-            if (other === this || other.isDead || other.team === this.team) continue;
-            if (isPlayerInvisible && (other.isPlayer || this.isPlayer)) continue;
-            
-            const dist = this.position.distanceTo(other.position);
-            
-            if (dist < chargeDist) {
-                enemies.push({boid: other, distance: dist});
-            }
-        }
-        
-        if (enemies.length > 0) {
-            // Sort by distance, closest first
-            enemies.sort((a, b) => a.distance - b.distance);
-            
-            // Charge towards the closest enemy
-            const target = enemies[0].boid.position;
-            const chargeForce = this.seek(target);
-            
-            // Apply aggressiveness as a multiplier
-            return chargeForce.multiplyScalar(this.genes.charge.weight * this.genes.aggressiveness);
-        }
-        
-        return new THREE.Vector3();
+        this.healthBarBg.position.y = BOID_SIZE * 2;
+        scene.add(this.healthBarBg);
     }
     
-    flee(boids) {
-        const fleeDist = this.genes.flee.radius;
-        const fleeThreshold = this.maxHealth * this.genes.defensiveness;
-        
-        if (this.health > fleeThreshold) {
-            return new THREE.Vector3();
-        }
-        
-        const steer = new THREE.Vector3();
-        let count = 0;
-        
-        for (const other of boids) {
-            if (other === this || other.isDead || other.team === this.team) continue;
-            
-            const dist = this.position.distanceTo(other.position);
-            
-            if (dist < fleeDist) {
-                const diff = new THREE.Vector3().subVectors(this.position, other.position);
-                diff.normalize();
-                diff.divideScalar(dist); // Weight by distance
-                steer.add(diff);
-                count++;
-            }
+    updateHealthBar() {
+        if (this.boid.isDead) {
+            this.healthBar.visible = false;
+            this.healthBarBg.visible = false;
+            return;
         }
         
-        if (count > 0) {
-            steer.divideScalar(count);
-            
-            if (steer.length() > 0) {
-                steer.normalize();
-                steer.multiplyScalar(this.genes.maxSpeed);
-                steer.sub(this.velocity);
-                steer.clampLength(0, this.genes.maxForce);
-            }
-            
-            return steer.multiplyScalar(this.genes.flee.weight);
-        }
+        // Position above boid
+        this.healthBarBg.position.copy(this.mesh.position);
+        this.healthBarBg.position.y += BOID_SIZE * 2;
+        this.healthBarBg.lookAt(camera.position);
         
-        return new THREE.Vector3();
-    }
-    
-    avoidBoundaries() {
-        const margin = 50;
-        const force = new THREE.Vector3();
-        const boundary = WORLD_SIZE - margin;
+        this.healthBar.position.copy(this.mesh.position);
+        this.healthBar.position.y += BOID_SIZE * 2;
+        this.healthBar.lookAt(camera.position);
         
-        // X boundaries
-        if (this.position.x < -boundary) {
-            force.x = this.genes.maxForce * 2 * (1 + Math.abs(this.position.x + boundary) / margin);
-        } else if (this.position.x > boundary) {
-            force.x = -this.genes.maxForce * 2 * (1 + Math.abs(this.position.x - boundary) / margin);
-        }
+        // Scale health bar based on current health
+        const healthPercent = this.boid.health / this.boid.maxHealth;
+        this.healthBar.scale.x = healthPercent;
         
-        // Y boundaries - strengthen floor avoidance
-        if (this.position.y < FLOOR_Y_POSITION + BOID_SIZE + margin) {
-            // Stronger upward force when close to floor
-            const floorDistance = this.position.y - (FLOOR_Y_POSITION + BOID_SIZE);
-            force.y = this.genes.maxForce * 3 * (1 + Math.abs(floorDistance) / margin);
-        } else if (this.position.y > boundary) {
-            force.y = -this.genes.maxForce * 2 * (1 + Math.abs(this.position.y - boundary) / margin);
-        }
+        // Position health bar to align left
+        const offset = (1 - healthPercent) * 6;
+        this.healthBar.position.x = this.healthBarBg.position.x - offset;
         
-        // Z boundaries
-        if (this.position.z < -boundary) {
-            force.z = this.genes.maxForce * 2 * (1 + Math.abs(this.position.z + boundary) / margin);
-        } else if (this.position.z > boundary) {
-            force.z = -this.genes.maxForce * 2 * (1 + Math.abs(this.position.z - boundary) / margin);
+        // Update color based on health
+        if (healthPercent > 0.6) {
+            this.healthBar.material.color.set(0x00ff00);
+        } else if (healthPercent > 0.3) {
+            this.healthBar.material.color.set(0xffff00);
+        } else {
+            this.healthBar.material.color.set(0xff0000);
         }
-        
-        return force;
     }
     
-    handleCollisions(boids) {
-        // Collision response with other boids and damage handling
-        for (const other of boids) {
-            if (other === this || other.isDead) continue;
-            
-            const dist = this.position.distanceTo(other.position);
+    updateMesh(alpha = 1) {
+        // Interpolate between the last two simulation ticks
+        this.mesh.position.lerpVectors(this.boid.previousPosition, this.boid.position, alpha);
+        this.hitbox.position.copy(this.mesh.position);
+        
+        // Add gentle rotation for spherical boids
+        const velocity = this.boid.velocity;
+        if (velocity.length() > 0.1) {
+            // Rotate based on movement direction
+            const axis = new THREE.Vector3(
+                velocity.y,
+                -velocity.x,
+                velocity.z
+            ).normalize();
             
-            if (dist < COLLISION_DISTANCE) {
-                // Apply collision force
-                const collisionForce = new THREE.Vector3()
-                    .subVectors(this.position, other.position)
-                    .normalize()
-                    .multiplyScalar(this.genes.maxForce * 5);
-                
-                this.applyForce(collisionForce);
-                
-                // Deal damage if it's an enemy
-                if (other.team !== this.team) {
-                    // Apply damage on collision
-                    const now = clock.getElapsedTime();
-                    
-                    // Only deal damage if not on cooldown
-                    if (now - this.lastAttackTime >= this.attackCooldown) {
-                        const collisionDamage = this.damage * 0.5; // Reduced collision damage
-                        const damageDealt = other.takeDamage(collisionDamage, this);
-                        this.damageDealt += damageDealt;
-                        this.lastAttackTime = now;
-                    }
-                }
-            }
+            const angle = 0.05 * velocity.length() / this.boid.genes.maxSpeed;
+            this.mesh.rotateOnAxis(axis, angle);
         }
     }
     
-    attack(boids) {
-        const attackRange = BOID_SIZE * 3;
-        const now = clock.getElapsedTime();
+    showDamage() {
+        // Update mesh color based on health
+        const healthPercent = this.boid.health / this.boid.maxHealth;
+        const baseColor = teamColor(this.boid.team);
+        const damageColor = new THREE.Color(1, 1, 1);
         
-        // Check if attack is on cooldown
-        if (now - this.lastAttackTime < this.attackCooldown) {
-            return;
-        }
+        this.mesh.material.color.copy(baseColor).lerp(damageColor, 1 - healthPercent);
         
-        for (const other of boids) {
-            if (other === this || other.isDead || other.team === this.team) continue;
-            if (isPlayerInvisible && (other.isPlayer || this.isPlayer)) continue;
-            
-            const dist = this.position.distanceTo(other.position);
-            
-            if (dist < attackRange) {
-                // Attack the enemy
-                const damageDealt = other.takeDamage(this.damage, this);
-                this.damageDealt += damageDealt;
-                this.lastAttackTime = now;
-                
-                // Create a visual effect for the attack
-                this.createAttackEffect(other.position);
-                
-                break; // Only attack one enemy at a time
+        // Animation on hit - quick flash
+        this.mesh.material.emissiveIntensity = 0.8;
+        setTimeout(() => {
+            if (!this.boid.isDead) {
+                this.mesh.material.emissiveIntensity = this.boid.isPlayer ? 0.8 : 0.5;
             }
-        }
+        }, 100);
+    }
+    
+    resetPlayer() {
+        this.mesh.visible = !simulation.playerInvisible;
+        this.hitbox.visible = debug.showHitboxes && !simulation.playerInvisible;
+        this.healthBar.visible = true;
+        this.healthBarBg.visible = true;
+        this.mesh.material.color.set(TEAM_COLORS[this.boid.team]);
+        this.updateMesh();
     }
     
     createAttackEffect(targetPos) {
@@ -1615,18 +2691,16 @@ class Boid {
         const particleCount = 20;
         const positions = particleSystem.attackParticles.geometry.attributes.position.array;
         
-        particleSystem.attackParticles.material.color.set(
-            this.team === TEAMS.RED ? 0xff5500 : 0x00aaff
-        );
+        particleSystem.attackParticles.material.color.set(TEAM_COLORS[this.boid.team]);
         
         particleSystem.attackParticles.visible = true;
         particleSystem.attackParticles.position.copy(targetPos);
         
         for (let i = 0; i < particleCount * 3; i += 3) {
             // Random position within sphere
-            const theta = Math.random() * Math.PI * 2;
-            const phi = Math.random() * Math.PI;
-            const r = Math.random() * 5;
+            const theta = effectsRandom.random() * Math.PI * 2;
+            const phi = effectsRandom.random() * Math.PI;
+            const r = effectsRandom.random() * 5;
             
             positions[i] = Math.sin(phi) * Math.cos(theta) * r;
             positions[i + 1] = Math.sin(phi) * Math.sin(theta) * r;
@@ -1637,12 +2711,12 @@ class Boid {
         
         // Add line between attacker and target
         const lineGeometry = new THREE.BufferGeometry().setFromPoints([
-            this.position,
-            targetPos
+            new THREE.Vector3().copy(this.boid.position),
+            new THREE.Vector3().copy(targetPos)
         ]);
         
         const lineMaterial = new THREE.LineBasicMaterial({
-            color: this.team === TEAMS.RED ? 0xff5500 : 0x00aaff,
+            color: TEAM_COLORS[this.boid.team],
             linewidth: 2,
             transparent: true,
             opacity: 0.8
@@ -1673,41 +2747,7 @@ class Boid {
         animateAttackEffect();
     }
     
-    takeDamage(amount, attacker = null) {
-        const actualDamage = Math.min(this.health, amount);
-        this.health -= actualDamage;
-        this.damageTaken += actualDamage;
-        
-        // Update mesh color based on health
-        const healthPercent = this.health / this.maxHealth;
-        const baseColor = this.team === TEAMS.RED ? new THREE.Color(1, 0, 0) : new THREE.Color(0, 0, 1);
-        const damageColor = new THREE.Color(1, 1, 1);
-        
-        this.mesh.material.color.copy(baseColor).lerp(damageColor, 1 - healthPercent);
-        
-        // Animation on hit - quick flash
-        this.mesh.material.emissiveIntensity = 0.8;
-        setTimeout(() => {
-            if (!this.isDead) {
-                this.mesh.material.emissiveIntensity = this.isPlayer ? 0.8 : 0.5;
-            }
-        }, 100);
-        
-        // Check if boid died
-        if (this.health <= 0 && !this.isDead) {
-            this.die();
-            
-            // Record kill for attacker
-            if (attacker) {
-                attacker.kills++;
-            }
-        }
-        
-        return actualDamage;
-    }
-    
     die() {
-        this.isDead = true;
         this.mesh.visible = false;
         this.hitbox.visible = false;
         this.healthBar.visible = false;
@@ -1718,9 +2758,8 @@ class Boid {
     }
     
     createRealisticExplosion() {
-        const position = this.position.clone();
-        const teamColor = this.team === TEAMS.RED ? 
-            new THREE.Color(0xff3333) : new THREE.Color(0x3333ff);
+        const position = new THREE.Vector3().copy(this.boid.position);
+        const teamColor = new THREE.Color(TEAM_COLORS[this.boid.team]);
         
         // 1. Core explosion flash
         this.createExplosionCore(position, teamColor);
@@ -1804,9 +2843,9 @@ class Boid {
         // Initialize particles in a small sphere
         for (let i = 0; i < particleCount * 3; i += 3) {
             // Random direction
-            const theta = Math.random() * Math.PI * 2;
-            const phi = Math.random() * Math.PI;
-            const r = Math.random() * 2;
+            const theta = effectsRandom.random() * Math.PI * 2;
+            const phi = effectsRandom.random() * Math.PI;
+            const r = effectsRandom.random() * 2;
             
             positions[i] = Math.sin(phi) * Math.cos(theta) * r;
             positions[i + 1] = Math.sin(phi) * Math.sin(theta) * r;
@@ -1818,7 +2857,7 @@ class Boid {
         // Prepare particle velocities
         const velocities = [];
         for (let i = 0; i < particleCount; i++) {
-            const speed = 10 + Math.random() * 40; // Faster explosion
+            const speed = 10 + effectsRandom.random() * 40; // Faster explosion
             const i3 = i * 3;
             const direction = new THREE.Vector3(
                 positions[i3], 
@@ -1888,9 +2927,9 @@ class Boid {
         
         // Random orientation for 3D effect
         ring.rotation.set(
-            Math.random() * Math.PI * 2,
-            Math.random() * Math.PI * 2,
-            Math.random() * Math.PI * 2
+            effectsRandom.random() * Math.PI * 2,
+            effectsRandom.random() * Math.PI * 2,
+            effectsRandom.random() * Math.PI * 2
         );
         
         scene.add(ring);
@@ -1965,7 +3004,7 @@ class Boid {
         
         // Create bubbles
         for (let i = 0; i < bubbleCount; i++) {
-            const size = 0.5 + Math.random() * 2;
+            const size = 0.5 + effectsRandom.random() * 2;
             const bubbleGeometry = new THREE.SphereGeometry(size, 16, 16);
             const bubbleMaterial = new THREE.MeshBasicMaterial({
                 color: 0xffffff,
@@ -1978,15 +3017,15 @@ class Boid {
             bubble.position.copy(position);
             
             // Add random offset
-            bubble.position.x += (Math.random() - 0.5) * 2;
-            bubble.position.y += (Math.random() - 0.5) * 2;
-            bubble.position.z += (Math.random() - 0.5) * 2;
+            bubble.position.x += (effectsRandom.random() - 0.5) * 2;
+            bubble.position.y += (effectsRandom.random() - 0.5) * 2;
+            bubble.position.z += (effectsRandom.random() - 0.5) * 2;
             
             // Add bubble properties
-            bubble.userData.speed = 2 + Math.random() * 5;
-            bubble.userData.wobbleSpeed = 0.5 + Math.random() * 2;
-            bubble.userData.wobbleAmount = 0.1 + Math.random() * 0.2;
-            bubble.userData.delay = Math.random() * 0.3;
+            bubble.userData.speed = 2 + effectsRandom.random() * 5;
+            bubble.userData.wobbleSpeed = 0.5 + effectsRandom.random() * 2;
+            bubble.userData.wobbleAmount = 0.1 + effectsRandom.random() * 0.2;
+            bubble.userData.delay = effectsRandom.random() * 0.3;
             
             scene.add(bubble);
             bubbles.push(bubble);
@@ -2031,100 +3070,6 @@ class Boid {
         animateBubbles();
     }
     
-    flock(boids) {
-        if (this.isDead) return;
-        
-        // Apply flocking behaviors
-        const sep = this.separate(boids);
-        const ali = this.align(boids);
-        const coh = this.cohesion(boids);
-        const cha = this.charge(boids);
-        const fle = this.flee(boids);
-        const bnd = this.avoidBoundaries();
-        
-        // Apply all forces
-        this.applyForce(sep);
-        this.applyForce(ali);
-        this.applyForce(coh);
-        this.applyForce(cha);
-        this.applyForce(fle);
-        this.applyForce(bnd);
-        
-        // Handle collisions with damage
-        this.handleCollisions(boids);
-        
-        // Attack nearby enemies
-        this.attack(boids);
-    }
-    
-    update(delta) {
-        if (this.isDead) return;
-        
-        // Apply speed multiplier from debug controls
-        const adjustedDelta = delta * debug.speedMultiplier;
-        
-        // Update physics with SPEED_MULTIPLIER for 10x faster movement
-        this.velocity.add(this.acceleration.clone().multiplyScalar(adjustedDelta));
-        this.velocity.clampLength(0, this.genes.maxSpeed * SPEED_MULTIPLIER);
-        
-        // Move boid
-        this.position.add(this.velocity.clone().multiplyScalar(adjustedDelta));
-        
-        // Enforce floor boundary - hard limit to prevent going below the floor
-        if (this.position.y < FLOOR_Y_POSITION + BOID_SIZE) {
-            this.position.y = FLOOR_Y_POSITION + BOID_SIZE;
-            this.velocity.y = Math.abs(this.velocity.y) * 0.5; // Bounce slightly
-        }
-        
-        this.acceleration.multiplyScalar(0);
-        
-        // Update mesh and hitbox
-        this.updateMesh();
-        
-        // Update health bar
-        this.updateHealthBar();
-    }
-    
-    updateMesh() {
-        this.mesh.position.copy(this.position);
-        this.hitbox.position.copy(this.position);
-        
-        // Add gentle rotation for spherical boids
-        if (this.velocity.length() > 0.1) {
-            // Rotate based on movement direction
-            const axis = new THREE.Vector3(
-                this.velocity.y,
-                -this.velocity.x,
-                this.velocity.z
-            ).normalize();
-            
-            const angle = 0.05 * this.velocity.length() / this.genes.maxSpeed;
-            this.mesh.rotateOnAxis(axis, angle);
-        }
-    }
-    
-    calculateFitness() {
-        // Calculate fitness based on performance
-        let fitness = 0;
-        
-        // Survival bonus
-        if (!this.isDead) {
-            fitness += 100;
-        }
-        
-        // Kill score
-        fitness += this.kills * 50;
-        
-        // Damage dealt
-        fitness += this.damageDealt * 0.5;
-        
-        // Damage taken (negative impact, but not too severe)
-        fitness -= this.damageTaken * 0.2;
-        
-        this.fitnessScore = Math.max(1, fitness);
-        return this.fitnessScore;
-    }
-    
     destroy() {
         scene.remove(this.mesh);
         scene.remove(this.hitbox);
@@ -2142,487 +3087,261 @@ class Boid {
     }
 }
 
-function createRandomGenes() {
-    return {
-        separation: {
-            weight: THREE.MathUtils.lerp(
-                geneConstraints.separation.weight.min,
-                geneConstraints.separation.weight.max,
-                Math.random()
-            ),
-            radius: THREE.MathUtils.lerp(
-                geneConstraints.separation.radius.min,
-                geneConstraints.separation.radius.max,
-                Math.random()
-            )
-        },
-        alignment: {
-            weight: THREE.MathUtils.lerp(
-                geneConstraints.alignment.weight.min,
-                geneConstraints.alignment.weight.max,
-                Math.random()
-            ),
-            radius: THREE.MathUtils.lerp(
-                geneConstraints.alignment.radius.min,
-                geneConstraints.alignment.radius.max,
-                Math.random()
-            )
-        },
-        cohesion: {
-            weight: THREE.MathUtils.lerp(
-                geneConstraints.cohesion.weight.min,
-                geneConstraints.cohesion.weight.max,
-                Math.random()
-            ),
-            radius: THREE.MathUtils.lerp(
-                geneConstraints.cohesion.radius.min,
-                geneConstraints.cohesion.radius.max,
-                Math.random()
-            )
-        },
-        charge: {
-            weight: THREE.MathUtils.lerp(
-                geneConstraints.charge.weight.min,
-                geneConstraints.charge.weight.max,
-                Math.random()
-            ),
-            radius: THREE.MathUtils.lerp(
-                geneConstraints.charge.radius.min,
-                geneConstraints.charge.radius.max,
-                Math.random()
-            )
-        },
-        flee: {
-            weight: THREE.MathUtils.lerp(
-                geneConstraints.flee.weight.min,
-                geneConstraints.flee.weight.max,
-                Math.random()
-            ),
-            radius: THREE.MathUtils.lerp(
-                geneConstraints.flee.radius.min,
-                geneConstraints.flee.radius.max,
-                Math.random()
-            )
-        },
-        maxSpeed: THREE.MathUtils.lerp(
-            geneConstraints.maxSpeed.min,
-            geneConstraints.maxSpeed.max,
-            Math.random()
-        ),
-        maxForce: THREE.MathUtils.lerp(
-            geneConstraints.maxForce.min,
-            geneConstraints.maxForce.max,
-            Math.random()
-        ),
-        health: THREE.MathUtils.lerp(
-            geneConstraints.health.min,
-            geneConstraints.health.max,
-            Math.random()
-        ),
-        damage: THREE.MathUtils.lerp(
-            geneConstraints.damage.min,
-            geneConstraints.damage.max,
-            Math.random()
-        ),
-        attackCooldown: THREE.MathUtils.lerp(
-            geneConstraints.attackCooldown.min,
-            geneConstraints.attackCooldown.max,
-            Math.random()
-        ),
-        aggressiveness: THREE.MathUtils.lerp(
-            geneConstraints.aggressiveness.min,
-            geneConstraints.aggressiveness.max,
-            Math.random()
-        ),
-        defensiveness: THREE.MathUtils.lerp(
-            geneConstraints.defensiveness.min,
-            geneConstraints.defensiveness.max,
-            Math.random()
-        ),
-        sightRange: THREE.MathUtils.lerp(
-            geneConstraints.sightRange.min,
-            geneConstraints.sightRange.max,
-            Math.random()
-        )
-    };
-}
-
-function mutateGenes(genes) {
-    const mutated = JSON.parse(JSON.stringify(genes)); // Deep clone
+function initializeSimulation({ seed = randomSeed(), ...options } = {}) {
+    const Runner = debug.useWorker ? WorkerRunner : LocalRunner;
+    runner = new Runner({ withPlayer: true, seed, evolution: { ...debug.evolution }, teamEvolution: structuredClone(debug.teamEvolution), fitness: debug.fitness, brains: { ...debug.brains }, league: { ...debug.league }, islands: { ...debug.islands }, teamCount: debug.teamCount, alliances: debug.alliances, ...options });
+    simulation = runner.simulation;
+    training = null;
+    effectsRandom.setSeed(seed);
+    updateSeedDisplay(seed);
+    
+    // Mirror simulation events onto the scene
+    runner.on('boidAdded', boid => {
+        boidViews.set(boid, new BoidView(boid));
+    });
     
-    // Helper function to mutate a value
-    function mutateValue(value, min, max) {
-        if (Math.random() < MUTATION_RATE) {
-            // Apply mutation
-            const change = (Math.random() * 2 - 1) * MUTATION_AMOUNT;
-            let newValue = value * (1 + change);
-            // Clamp to valid range
-            return THREE.MathUtils.clamp(newValue, min, max);
+    runner.on('boidRemoved', boid => {
+        const view = boidViews.get(boid);
+        if (view) {
+            view.destroy();
+            boidViews.delete(boid);
         }
-        return value;
-    }
-    
-    // Mutate each gene
-    mutated.separation.weight = mutateValue(
-        mutated.separation.weight,
-        geneConstraints.separation.weight.min,
-        geneConstraints.separation.weight.max
-    );
-    
-    mutated.separation.radius = mutateValue(
-        mutated.separation.radius,
-        geneConstraints.separation.radius.min,
-        geneConstraints.separation.radius.max
-    );
-    
-    mutated.alignment.weight = mutateValue(
-        mutated.alignment.weight,
-        geneConstraints.alignment.weight.min,
-        geneConstraints.alignment.weight.max
-    );
-    
-    mutated.alignment.radius = mutateValue(
-        mutated.alignment.radius,
-        geneConstraints.alignment.radius.min,
-        geneConstraints.alignment.radius.max
-    );
-    
-    mutated.cohesion.weight = mutateValue(
-        mutated.cohesion.weight,
-        geneConstraints.cohesion.weight.min,
-        geneConstraints.cohesion.weight.max
-    );
-    
-    mutated.cohesion.radius = mutateValue(
-        mutated.cohesion.radius,
-        geneConstraints.cohesion.radius.min,
-        geneConstraints.cohesion.radius.max
-    );
-    
-    mutated.charge.weight = mutateValue(
-        mutated.charge.weight,
-        geneConstraints.charge.weight.min,
-        geneConstraints.charge.weight.max
-    );
-    
-    mutated.charge.radius = mutateValue(
-        mutated.charge.radius,
-        geneConstraints.charge.radius.min,
-        geneConstraints.charge.radius.max
-    );
+    });
     
-    mutated.flee.weight = mutateValue(
-        mutated.flee.weight,
-        geneConstraints.flee.weight.min,
-        geneConstraints.flee.weight.max
-    );
+    runner.on('attack', (attacker, target) => {
+        boidViews.get(attacker).createAttackEffect(target.position);
+    });
     
-    mutated.flee.radius = mutateValue(
-        mutated.flee.radius,
-        geneConstraints.flee.radius.min,
-        geneConstraints.flee.radius.max
-    );
+    runner.on('damage', boid => {
+        boidViews.get(boid).showDamage();
+    });
     
-    mutated.maxSpeed = mutateValue(
-        mutated.maxSpeed,
-        geneConstraints.maxSpeed.min,
-        geneConstraints.maxSpeed.max
-    );
+    runner.on('death', boid => {
+        boidViews.get(boid).die();
+    });
     
-    mutated.maxForce = mutateValue(
-        mutated.maxForce,
-        geneConstraints.maxForce.min,
-        geneConstraints.maxForce.max
-    );
+    runner.on('battleEnd', ({ result }) => {
+        console.log(`Battle ended. Generation ${result.generation} - Survivors: ${describeSurvivors(result)}`);
+        standings = { wins: result.wins, draws: result.draws };
+        updateDiversityDisplay(result);
+        
+        // Start new generation after a short delay, unless the run was replaced meanwhile
+        const battleRunner = runner;
+        setTimeout(() => {
+            if (runner === battleRunner) {
+                runner.command('startNewGeneration');
+            }
+        }, NEW_GENERATION_DELAY);
+    });
     
-    mutated.health = mutateValue(
-        mutated.health,
-        geneConstraints.health.min,
-        geneConstraints.health.max
-    );
+    runner.on('generationStart', generation => {
+        onGenerationStart(generation);
+        
+        // The new generation's checkpoint is taken by now, so the save resumes here
+        if (debug.autosave) autosave();
+    });
     
-    mutated.damage = mutateValue(
-        mutated.damage,
-        geneConstraints.damage.min,
-        geneConstraints.damage.max
-    );
+    runner.on('trainingProgress', progress => {
+        training = progress;
+        if (progress.lastResult) {
+            standings = { wins: progress.lastResult.wins, draws: progress.lastResult.draws };
+        }
+        updateDiversityDisplay(progress.lastResult);
+        selectedBoid = null;
+        boidInfoPanel.style.display = 'none';
+        geneVisualizationPanel.style.display = 'none';
+        updateTrainingDisplay();
+    });
     
-    mutated.attackCooldown = mutateValue(
-        mutated.attackCooldown,
-        geneConstraints.attackCooldown.min,
-        geneConstraints.attackCooldown.max
-    );
+    runner.on('trainingEnd', progress => {
+        training = null;
+        updateTrainingDisplay();
+        console.log(`Training finished: ${progress.completed} generations in ${progress.elapsed.toFixed(1)}s`);
+        
+        // Back to visual mode with the evolved populations
+        onGenerationStart(simulation.generation);
+    });
     
-    mutated.aggressiveness = mutateValue(
-        mutated.aggressiveness,
-        geneConstraints.aggressiveness.min,
-        geneConstraints.aggressiveness.max
-    );
+    runner.start();
     
-    mutated.defensiveness = mutateValue(
-        mutated.defensiveness,
-        geneConstraints.defensiveness.min,
-        geneConstraints.defensiveness.max
-    );
+    // Carry the debug settings over to the new run
+    runner.command('setSpeed', debug.speedMultiplier);
+    runner.command('setPaused', debug.paused);
+    if (playerControls) {
+        runner.command('setPlayerControlled', true);
+    }
     
-    mutated.sightRange = mutateValue(
-        mutated.sightRange,
-        geneConstraints.sightRange.min,
-        geneConstraints.sightRange.max
-    );
+    // Position player camera
+    resetPlayerCamera();
+}
+
+// Swaps in a fresh runner (e.g. after toggling worker mode), keeping the seed;
+// team sizes come along with the evolution settings
+function restartSimulation() {
+    const options = { seed: simulation.seed };
+    runner.dispose();
+    selectedBoid = null;
+    boidInfoPanel.style.display = 'none';
+    geneVisualizationPanel.style.display = 'none';
     
-    return mutated;
+    initializeSimulation(options);
+    document.getElementById('generation').textContent = simulation.generation;
+    updateDiversityDisplay(null);
+    standings = null;
+    document.getElementById('team-counts').innerHTML = '';
+    updateTeamControls();
 }
 
-function initializeBoids() {
-    // Create red team
-    for (let i = 0; i < TEAM_SIZES; i++) {
-        const boid = new Boid(TEAMS.RED);
-        boids.push(boid);
-    }
+function onGenerationStart(generation) {
+    document.getElementById('generation').textContent = generation;
+    updateMutationRateDisplay();
     
-    // Create blue team
-    for (let i = 0; i < TEAM_SIZES; i++) {
-        const boid = new Boid(TEAMS.BLUE);
-        boids.push(boid);
+    // Imported teams join, and imports may switch brains, at a generation start
+    const brainsChanged = simulation.teams.some(team => simulation.brains[team] !== debug.brains[team]);
+    if (simulation.teams.length !== debug.teamCount || brainsChanged) {
+        debug.teamCount = simulation.teams.length;
+        debug.brains = { ...debug.brains, ...simulation.brains };
+        document.getElementById('debug-team-count').value = debug.teamCount;
+        updateTeamControls();
     }
     
-    // Create player boid (blue team)
-    playerBoid = new Boid(TEAMS.BLUE, null, true);
-    boids.push(playerBoid);
-    
-    // Position player camera
+    // Reset player
+    boidViews.get(simulation.playerBoid).resetPlayer();
     resetPlayerCamera();
+    
+    // Reset selected boid
+    selectedBoid = null;
+    boidInfoPanel.style.display = 'none';
+    geneVisualizationPanel.style.display = 'none';
 }
 
 function resetPlayerCamera() {
     // Reset player position to blue team starting area
-    playerBoid.position.set(0, 0, WORLD_SIZE * 0.6);
-    playerBoid.velocity.set(0, 0, -1);
-    playerBoid.acceleration.set(0, 0, 0);
+    runner.command('resetPlayerPosition');
+    const spawn = playerSpawnPosition(new THREE.Vector3(), simulation.teams);
     
-    // Ensure player is above the floor
-    if (playerBoid.position.y < FLOOR_Y_POSITION + BOID_SIZE * 2) {
-        playerBoid.position.y = FLOOR_Y_POSITION + BOID_SIZE * 2;
+    // In worker mode the player may not have arrived yet
+    const player = simulation.playerBoid;
+    if (player) {
+        player.position.copy(spawn);
+        player.previousPosition.copy(spawn);
+        boidViews.get(player).updateMesh();
     }
     
-    playerBoid.updateMesh();
-    
     // Position camera at player
-    camera.position.copy(playerBoid.position);
+    camera.position.copy(spawn);
     if (playerControls) {
-        playerControls.getObject().position.copy(playerBoid.position);
+        playerControls.getObject().position.copy(spawn);
     }
 }
 
-function updateBoids(delta) {
+function updateSimulation(delta) {
     if (debug.paused) return;
     
-    // Apply flocking behaviors
-    for (const boid of boids) {
-        if (!boid.isPlayer && !boid.isDead) {
-            boid.flock(boids);
-        }
+    // Player boid follows the camera
+    if (playerControls) {
+        runner.setPlayerPosition(playerControls.getObject().position);
     }
     
-    // Update positions
-    for (const boid of boids) {
+    // Run however many fixed ticks this frame covers (in worker mode they run there)
+    const alpha = runner.advance(delta);
+    
+    // Sync meshes and health bars with the simulation
+    for (const [boid, view] of boidViews) {
+        if (boid.isDead) continue;
+        
+        view.updateMesh(alpha);
         if (!boid.isPlayer) {
-            boid.update(delta);
-        } else {
-            // Player boid follows the camera
-            if (playerControls) {
-                boid.position.copy(playerControls.getObject().position);
-                boid.updateMesh();
-                
-                // Player can attack too
-                boid.attack(boids);
-            }
+            view.updateHealthBar();
         }
     }
+    
+    updateBattleDisplay();
+    updateHallOfFamePanel();
+    updateLeaguePanel();
+    updateIslandPanel();
+    updateFamilyTreePanel();
 }
 
-function updateBattle(delta) {
-    if (!battleActive || debug.paused) return;
-    
-    battleTimer += delta;
-    document.getElementById('battle-time').textContent = Math.floor(battleTimer);
-    
-    // Count living boids in each team
-    const redCount = boids.filter(b => b.team === TEAMS.RED && !b.isDead).length;
-    const blueCount = boids.filter(b => b.team === TEAMS.BLUE && !b.isDead && !b.isPlayer).length;
-    
-    document.getElementById('red-count').textContent = redCount;
-    document.getElementById('blue-count').textContent = blueCount;
+function updateSeedDisplay(seed = simulation.seed) {
+    document.getElementById('seed').textContent = seed;
     
-    // Check if battle should end
-    if (battleTimer >= BATTLE_DURATION || redCount === 0 || blueCount === 0) {
-        endBattle();
+    const seedInput = document.getElementById('debug-seed');
+    if (seedInput) {
+        seedInput.value = seed;
     }
 }
 
-function endBattle() {
-    battleActive = false;
-    
-    // Determine winners and survivors
-    const redSurvivors = boids.filter(b => b.team === TEAMS.RED && !b.isDead);
-    const blueSurvivors = boids.filter(b => b.team === TEAMS.BLUE && !b.isDead && !b.isPlayer);
-    
-    // Calculate fitness scores for all boids
-    for (const boid of boids) {
-        if (!boid.isPlayer) {
-            boid.calculateFitness();
-        }
-    }
-    
-    // Record battle results
-    const battleResult = {
-        generation: generation,
-        redSurvivors: redSurvivors.length,
-        blueSurvivors: blueSurvivors.length,
-        duration: battleTimer,
-        redTopFitness: redSurvivors.length > 0 ? Math.max(...redSurvivors.map(b => b.fitnessScore)) : 0,
-        blueTopFitness: blueSurvivors.length > 0 ? Math.max(...blueSurvivors.map(b => b.fitnessScore)) : 0
-    };
-    
-    battleHistory.generations.push(battleResult);
-    
-    // Determine winner
-    if (redSurvivors.length > blueSurvivors.length) {
-        battleHistory.redWins++;
-    } else if (blueSurvivors.length > redSurvivors.length) {
-        battleHistory.blueWins++;
-    } else {
-        battleHistory.draws++;
-    }
-    
-    console.log(`Battle ended. Generation ${generation} - Red survivors: ${redSurvivors.length}, Blue survivors: ${blueSurvivors.length}`);
-    
-    // Start new generation after a short delay
-    setTimeout(() => {
-        startNewGeneration(redSurvivors, blueSurvivors);
-    }, 3000);
+function updateTrainingDisplay() {
+    const status = document.getElementById('training-status');
+    status.style.display = training ? 'block' : 'none';
+    if (!training) return;
+    
+    const { completed, total, battleProgress, lastResult, elapsed } = training;
+    const rate = elapsed > 0 ? completed / elapsed : 0;
+    let text = `Training: ${completed}/${total} generations (battle ${Math.floor(battleProgress * 100)}%, ${rate.toFixed(2)} gen/s)`;
+    if (lastResult) {
+        text += ` - last: ${describeSurvivors(lastResult)}`;
+    }
+    status.textContent = text;
 }
 
-function startNewGeneration(redSurvivors, blueSurvivors) {
-    generation++;
-    document.getElementById('generation').textContent = generation;
-    
-    // Clean up old boids
-    for (const boid of boids) {
-        if (!boid.isPlayer) {
-            boid.destroy();
+// Per-team diversity and species sizes of the last finished battle
+function updateDiversityDisplay(result) {
+    const status = document.getElementById('diversity-status');
+    status.style.display = result ? 'block' : 'none';
+    if (!result) return;
+    
+    status.innerHTML = Object.keys(result.diversity).map(team => {
+        const { meanDistance, geneSpread, species } = result.diversity[team];
+        let text = `${team.toUpperCase()} diversity: ${meanDistance.toFixed(3)} (spread ${geneSpread.toFixed(3)})`;
+        if (species.length > 0) {
+            text += ` - ${species.length} species: ${species.map(s => s.size).join('/')}`;
         }
-    }
-    
-    // Create new boids with evolved genes
-    boids = [];
-    
-    // Add player boid back
-    boids.push(playerBoid);
-    
-    // Reset player
-    playerBoid.health = playerBoid.maxHealth;
-    playerBoid.isDead = false;
-    playerBoid.kills = 0;
-    playerBoid.damageDealt = 0;
-    playerBoid.damageTaken = 0;
-    playerBoid.mesh.visible = !isPlayerInvisible;
-    playerBoid.hitbox.visible = debug.showHitboxes && !isPlayerInvisible;
-    playerBoid.healthBar.visible = true;
-    playerBoid.healthBarBg.visible = true;
-    playerBoid.mesh.material.color.set(0x3333ff);
-    resetPlayerCamera();
-    
-    // Reproduce red team
-    createNewTeam(TEAMS.RED, redSurvivors);
-    
-    // Reproduce blue team
-    createNewTeam(TEAMS.BLUE, blueSurvivors);
-    
-    // Reset battle timer
-    battleTimer = 0;
-    battleActive = true;
-    
-    // Reset selected boid
-    selectedBoid = null;
-    boidInfoPanel.style.display = 'none';
-    geneVisualizationPanel.style.display = 'none';
+        return `<div>${text}</div>`;
+    }).join('');
 }
 
-function createNewTeam(team, survivors) {
-    // If no survivors, create new random boids
-    if (survivors.length === 0) {
-        for (let i = 0; i < TEAM_SIZES; i++) {
-            const boid = new Boid(team);
-            boids.push(boid);
-        }
-        return;
-    }
-    
-    // Calculate total fitness to use for weighted selection
-    let totalFitness = survivors.reduce((sum, boid) => sum + boid.fitnessScore, 0);
-    
-    // Create new team through selection and mutation
-    for (let i = 0; i < TEAM_SIZES; i++) {
-        // Select parent based on fitness (higher fitness = higher chance)
-        const parent = selectParentByFitness(survivors, totalFitness);
-        
-        // Create a new boid with mutated genes
-        const mutatedGenes = mutateGenes(parent.genes);
-        const boid = new Boid(team, mutatedGenes);
-        
-        boids.push(boid);
-    }
+// e.g. "red 12 / blue 8 / green 0"
+function describeSurvivors(result) {
+    return Object.entries(result.survivors).map(([team, count]) => `${team} ${count}`).join(' / ');
 }
 
-function selectParentByFitness(survivors, totalFitness) {
-    // Roulette wheel selection
-    let rand = Math.random() * totalFitness;
-    let runningSum = 0;
+function updateBattleDisplay() {
+    document.getElementById('battle-time').textContent = Math.floor(simulation.battleTimer);
     
-    for (const survivor of survivors) {
-        runningSum += survivor.fitnessScore;
-        if (runningSum >= rand) {
-            return survivor;
-        }
+    // One row per team: alive now, and battles won so far
+    const counts = document.getElementById('team-counts');
+    if (counts.childElementCount !== simulation.teams.length) {
+        counts.innerHTML = simulation.teams.map(team => `
+            <div style="color: ${teamCss(team, 0.3)};">${team[0].toUpperCase() + team.slice(1)} Team: <span data-count="${team}"></span> <span data-wins="${team}"></span></div>`).join('');
     }
     
-    // Fallback
-    return survivors[survivors.length - 1];
+    for (const team of simulation.teams) {
+        counts.querySelector(`[data-count="${team}"]`).textContent = simulation.countAlive(team);
+        counts.querySelector(`[data-wins="${team}"]`).textContent = standings ? `(${standings.wins[team] || 0} wins)` : '';
+    }
 }
 
-function resetSimulation() {
+function resetSimulation(seed = simulation.seed) {
     // Stop ambient sound
     if (sounds.ambient && sounds.ambient.isPlaying) {
         sounds.ambient.stop();
     }
     
-    // Clean up all boids
-    for (const boid of boids) {
-        boid.destroy();
-    }
-    
-    // Reset global variables
-    boids = [];
-    generation = 1;
-    battleTimer = 0;
-    battleActive = true;
+    // Rebuild all boids from scratch
+    runner.command('reset', { withPlayer: true, seed });
+    effectsRandom.setSeed(seed);
     selectedBoid = null;
     
-    battleHistory = {
-        generations: [],
-        redWins: 0,
-        blueWins: 0,
-        draws: 0
-    };
-    
     // Update UI
-    document.getElementById('generation').textContent = generation;
+    document.getElementById('generation').textContent = 1;
     document.getElementById('battle-time').textContent = '0';
+    updateSeedDisplay(seed);
+    updateDiversityDisplay(null);
+    standings = null;
     
-    // Initialize new boids
-    initializeBoids();
+    resetPlayerCamera();
     
     // Restart sound
     if (sounds.ambient) {
@@ -2762,11 +3481,11 @@ function onKeyDown(event) {
             break;
         case 'KeyH':
             // Toggle invisibility
-            isPlayerInvisible = !isPlayerInvisible;
-            playerBoid.mesh.visible = !isPlayerInvisible;
-            playerBoid.hitbox.visible = debug.showHitboxes && !isPlayerInvisible;
+            runner.command('setPlayerInvisible', !simulation.playerInvisible);
+            boidViews.get(simulation.playerBoid).mesh.visible = !simulation.playerInvisible;
+            boidViews.get(simulation.playerBoid).hitbox.visible = debug.showHitboxes && !simulation.playerInvisible;
             document.getElementById('invisibility-status').textContent = 
-                `Visibility: ${isPlayerInvisible ? 'OFF' : 'ON'}`;
+                `Visibility: ${simulation.playerInvisible ? 'OFF' : 'ON'}`;
             break;
         case 'KeyR':
             // Reset camera
@@ -2867,17 +3586,23 @@ function animate() {
     
     const delta = clock.getDelta();
     
+    // Benchmark battles run next to the main one, training or not
+    updateBenchmark();
+    
+    // Turbo training: simulation only, nothing is rendered until it finishes
+    if (training) {
+        runner.advance(delta);
+        return;
+    }
+    
     // Update underwater effects
     updateUnderwaterEffects(delta);
     
     // Update player movement
     updatePlayerMovement(delta);
     
-    // Update boids
-    updateBoids(delta);
-    
-    // Update battle state
-    updateBattle(delta);
+    // Step the simulation and sync boid views
+    updateSimulation(delta);
     
     // Render scene with post-processing
     composer.render();
@@ -0,0 +1,261 @@
+// sim/benchmark.js - Genome-vs-genome benchmark: two fixed populations, N seeded battles
+//
+// Settles "is this population better?" without evolution getting in the way:
+// the same two populations (from genome files or saved runs) fight every
+// battle unchanged, each in a fresh headless arena. Battles come in pairs
+// sharing a seed, with population A on the red side in the first and on the
+// blue side in the second, so spawn side and seed luck cancel out.
+//
+// The report gives win/draw/loss rates with Wilson intervals, mean survivors
+// with normal-approximation intervals, and an exact two-sided sign test on
+// wins vs losses (draws left out) against "neither population is better".
+//
+// Like league matches, battles run in time slices (run(budget)) so the UI
+// can step them between frames; runAll() plays them all at once.
+
+import { TEAMS, BATTLE_DURATION } from './config.js';
+import { readGenomeFile, GENOME_FORMAT } from './genome-io.js';
+import { readSave, SAVE_FORMAT } from './save.js';
+import { createBrainSettings } from './brain.js';
+import { Simulation } from './simulation.js';
+
+export const BENCHMARK_SLICE_MS = 8; // Battle time per render frame
+export const CONFIDENCE_Z = 1.96; // 95% intervals
+export const SIGNIFICANCE_LEVEL = 0.05;
+
+export function createBenchmarkSettings(overrides = {}) {
+    return {
+        battles: 20, // Even, so both populations get each side equally
+        seed: 1, // Battle pair i fights with a seed derived from this one
+        squadSize: 0, // Genomes per side, from the start of each population; 0 = all of them
+        battleDuration: BATTLE_DURATION,
+        ...overrides
+    };
+}
+
+// Parses a genome file or a saved run (JSON text or an already parsed object)
+// into team -> { brain, genomes }; throws an Error if it is neither
+export function readPopulations(input) {
+    let file = input;
+    if (typeof input === 'string') {
+        try {
+            file = JSON.parse(input);
+        } catch (error) {
+            throw new Error(`Not a JSON file: ${error.message}`);
+        }
+    }
+    
+    if (!file || (file.format !== SAVE_FORMAT && file.format !== GENOME_FORMAT)) {
+        throw new Error('Not a genome file or saved run');
+    }
+    if (file.format === SAVE_FORMAT) {
+        const save = readSave(file);
+        const brains = createBrainSettings(save.settings.brains || {}); // Older saves may not name them
+        const teams = {};
+        for (const boid of save.checkpoint.boids) {
+            if (!teams[boid.team]) teams[boid.team] = { brain: brains[boid.team], genomes: [] };
+            teams[boid.team].genomes.push(boid.genes);
+        }
+        return teams;
+    }
+    
+    return readGenomeFile(file).teams;
+}
+
+// Each battle pair draws its own seed from the benchmark's
+function battleSeed(seed, pair) {
+    return (seed + Math.imul(pair + 1, 0x9E3779B1)) >>> 0;
+}
+
+export class Benchmark {
+    // `a` and `b` are { name, brain, genomes }
+    constructor(a, b, settings = {}) {
+        if (a.genomes.length === 0 || b.genomes.length === 0) {
+            throw new Error('Both populations need at least one genome');
+        }
+        
+        this.settings = createBenchmarkSettings(settings);
+        const { battles, seed, squadSize, battleDuration } = this.settings;
+        if (!Number.isInteger(battles) || battles < 2 || battles % 2 !== 0) {
+            throw new Error('battles must be an even whole number, at least 2');
+        }
+        if (!Number.isInteger(seed) || seed < 0) {
+            throw new Error('seed must be a non-negative whole number');
+        }
+        if (!Number.isInteger(squadSize) || squadSize < 0) {
+            throw new Error('squadSize must be a non-negative whole number');
+        }
+        if (!Number.isFinite(battleDuration) || battleDuration <= 0) {
+            throw new Error('battleDuration must be a positive number of seconds');
+        }
+        
+        this.a = a;
+        this.b = b;
+        this.battles = battles;
+        this.results = []; // { seed, aSide, outcome: 'win' | 'draw' | 'loss' (for A), survivors: { a, b } }
+        this.arena = null; // Battle in progress: { arena, seed, aSide }
+    }
+    
+    get done() {
+        return this.results.length >= this.battles;
+    }
+    
+    // Plays battles for up to `budget` ms; returns true while battles remain
+    run(budget = BENCHMARK_SLICE_MS) {
+        const deadline = performance.now() + budget;
+        
+        while (!this.done && performance.now() < deadline) {
+            if (!this.arena) this.arena = this.startBattle(this.results.length);
+            
+            const { arena } = this.arena;
+            arena.step();
+            if (!arena.battleActive) {
+                this.results.push(this.finishBattle(this.arena));
+                this.arena = null;
+            }
+        }
+        
+        return !this.done;
+    }
+    
+    runAll() {
+        while (this.run(Infinity));
+        return this.report();
+    }
+    
+    // Even battles put A on the red side, odd ones on the blue side, same seed per pair
+    startBattle(index) {
+        const seed = battleSeed(this.settings.seed, Math.floor(index / 2));
+        const aSide = index % 2 === 0 ? TEAMS.RED : TEAMS.BLUE;
+        const [red, blue] = aSide === TEAMS.RED ? [this.a, this.b] : [this.b, this.a];
+        
+        const arena = new Simulation({
+            seed,
+            teamSize: 0,
+            teamCount: 2,
+            alliances: [],
+            battleDuration: this.settings.battleDuration,
+            brains: { [TEAMS.RED]: red.brain, [TEAMS.BLUE]: blue.brain },
+            league: { enabled: false },
+            islands: { count: 1 }
+        });
+        
+        for (const genes of this.squad(red)) arena.spawnBoid(TEAMS.RED, JSON.parse(JSON.stringify(genes)));
+        for (const genes of this.squad(blue)) arena.spawnBoid(TEAMS.BLUE, JSON.parse(JSON.stringify(genes)));
+        
+        return { arena, seed, aSide };
+    }
+    
+    squad(population) {
+        const size = this.settings.squadSize;
+        return size > 0 ? population.genomes.slice(0, size) : population.genomes;
+    }
+    
+    // Same winner rule as the main battle: more survivors wins
+    finishBattle({ arena, seed, aSide }) {
+        const { winners, survivors } = arena.lastBattle.result;
+        const bSide = aSide === TEAMS.RED ? TEAMS.BLUE : TEAMS.RED;
+        
+        return {
+            seed,
+            aSide,
+            outcome: winners.includes(aSide) ? 'win' : winners.includes(bSide) ? 'loss' : 'draw',
+            survivors: { a: survivors[aSide], b: survivors[bSide] }
+        };
+    }
+    
+    get progress() {
+        return { played: this.results.length, battles: this.battles };
+    }
+    
+    // Statistics over the battles played so far (all of them once done)
+    report() {
+        const results = this.results;
+        const n = results.length;
+        const count = outcome => results.filter(result => result.outcome === outcome).length;
+        const wins = count('win');
+        const draws = count('draw');
+        const losses = count('loss');
+        const pValue = signTest(wins, losses);
+        
+        return {
+            a: this.a.name,
+            b: this.b.name,
+            settings: this.settings,
+            battles: n,
+            wins,
+            draws,
+            losses,
+            winRate: rateInterval(wins, n),
+            drawRate: rateInterval(draws, n),
+            lossRate: rateInterval(losses, n),
+            survivors: {
+                a: meanInterval(results.map(result => result.survivors.a)),
+                b: meanInterval(results.map(result => result.survivors.b)),
+                difference: meanInterval(results.map(result => result.survivors.a - result.survivors.b))
+            },
+            pValue,
+            significant: pValue < SIGNIFICANCE_LEVEL,
+            better: pValue < SIGNIFICANCE_LEVEL ? (wins > losses ? 'a' : 'b') : null,
+            results
+        };
+    }
+}
+
+// Share of `n` with its Wilson score interval
+export function rateInterval(successes, n, z = CONFIDENCE_Z) {
+    if (n === 0) return { rate: 0, low: 0, high: 0 };
+    
+    const rate = successes / n;
+    const center = (rate + z * z / (2 * n)) / (1 + z * z / n);
+    const margin = z * Math.sqrt(rate * (1 - rate) / n + z * z / (4 * n * n)) / (1 + z * z / n);
+    return { rate, low: Math.max(0, center - margin), high: Math.min(1, center + margin) };
+}
+
+// Mean with a normal-approximation interval from the sample standard deviation
+export function meanInterval(values, z = CONFIDENCE_Z) {
+    const n = values.length;
+    if (n === 0) return { mean: 0, low: 0, high: 0 };
+    
+    const mean = values.reduce((a, b) => a + b, 0) / n;
+    const variance = n > 1 ? values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (n - 1) : 0;
+    const margin = z * Math.sqrt(variance / n);
+    return { mean, low: mean - margin, high: mean + margin };
+}
+
+// Exact two-sided sign test: chance of a split at least this uneven if wins
+// and losses were equally likely. 1 when there are no decisive battles.
+export function signTest(wins, losses) {
+    const n = wins + losses;
+    if (n === 0) return 1;
+    
+    // Binomial(n, 1/2) tail in log space, so large n cannot underflow
+    const k = Math.min(wins, losses);
+    let logCoefficient = 0; // log C(n, i)
+    let tail = 0;
+    for (let i = 0; i <= k; i++) {
+        if (i > 0) logCoefficient += Math.log((n - i + 1) / i);
+        tail += Math.exp(logCoefficient - n * Math.LN2);
+    }
+    return Math.min(1, 2 * tail);
+}
+
+// Human-readable report, one line per entry
+export function describeBenchmark(report) {
+    const percent = ({ rate, low, high }) => `${(rate * 100).toFixed(1)}% (${(low * 100).toFixed(1)}-${(high * 100).toFixed(1)}%)`;
+    const mean = ({ mean, low, high }) => `${mean.toFixed(2)} (${low.toFixed(2)} to ${high.toFixed(2)})`;
+    
+    return [
+        `${report.a} (A) vs ${report.b} (B): ${report.battles} battles, sides swapped every battle`,
+        `A wins:  ${report.wins}  ${percent(report.winRate)}`,
+        `Draws:   ${report.draws}  ${percent(report.drawRate)}`,
+        `A loses: ${report.losses}  ${percent(report.lossRate)}`,
+        `Mean survivors A: ${mean(report.survivors.a)}`,
+        `Mean survivors B: ${mean(report.survivors.b)}`,
+        `Survivor difference (A - B): ${mean(report.survivors.difference)}`,
+        `Sign test p = ${report.pValue.toPrecision(3)}: ${report.better
+            ? `${report.better === 'a' ? report.a : report.b} is better (p < ${SIGNIFICANCE_LEVEL})`
+            : `no significant difference (p >= ${SIGNIFICANCE_LEVEL})`}`,
+        `(95% intervals in parentheses)`
+    ];
+}
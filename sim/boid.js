@@ -0,0 +1,529 @@
+// sim/boid.js - Boid steering, combat and fitness (no rendering)
+
+import {
+    WORLD_SIZE,
+    BOID_SIZE,
+    COLLISION_DISTANCE,
+    SPEED_MULTIPLIER,
+    FLOOR_Y_POSITION,
+    PERCEPTION_LIMIT,
+    NEURAL_STEERING_WEIGHT
+} from './config.js';
+import { Vector3 } from './math.js';
+import { evaluateFitness } from './fitness.js';
+import { think, NEURAL_OUTPUTS } from './brain.js';
+import { spawnFrame } from './teams.js';
+
+export class Boid {
+    constructor(simulation, team, genes, isPlayer = false) {
+        this.simulation = simulation;
+        this.id = simulation.nextBoidId++;
+        this.team = team;
+        this.birthGeneration = simulation.generation;
+        this.parents = []; // Lineage parent ids and origin, set by Simulation.spawnBoid
+        this.origin = 'random';
+        this.genes = genes || simulation.randomGenes(team);
+        this.isPlayer = isPlayer;
+        this.position = new Vector3();
+        this.previousPosition = new Vector3(); // Position at the start of the last tick, for render interpolation
+        this.velocity = new Vector3();
+        this.acceleration = new Vector3();
+        this.health = this.genes.health;
+        this.maxHealth = this.genes.health;
+        this.damage = this.genes.damage;
+        this.isDead = false;
+        this.lastAttackTime = 0;
+        this.attackCooldown = this.genes.attackCooldown;
+        this.kills = 0;
+        this.damageTaken = 0;
+        this.damageDealt = 0;
+        this.assists = 0; // Kills this boid damaged but did not land
+        this.damagedBy = new Set();
+        this.deathTime = 0; // Battle time of death, in seconds
+        this.fitnessScore = 0;
+        
+        // What this boid can currently see, nearest first (see perceive)
+        this.visible = [];
+        this.visibleAllies = [];
+        this.visibleEnemies = [];
+        
+        this.brainOutputs = new Float64Array(NEURAL_OUTPUTS); // Last network outputs, for the neural brain
+        
+        // Initialize starting position
+        this.initializePosition();
+    }
+    
+    initializePosition() {
+        const offset = WORLD_SIZE * 0.4;
+        const random = this.simulation.random;
+        const teams = this.simulation.teams;
+        const { center, inward, side } = spawnFrame(Math.max(0, teams.indexOf(this.team)), teams.length);
+        
+        // Spread out sideways and vertically around the team's spawn region
+        const spread = random.randFloat(-offset, offset);
+        this.position.set(
+            center.x + side.x * spread,
+            random.randFloat(-offset/2, offset/2),
+            center.z + side.z * spread
+        );
+        
+        // Ensure boid starts above the floor
+        if (this.position.y < FLOOR_Y_POSITION + BOID_SIZE) {
+            this.position.y = FLOOR_Y_POSITION + BOID_SIZE + 10; // Add some extra margin
+        }
+        
+        // Random initial velocity towards the center
+        const sideways = random.randFloat(-1, 1);
+        const vertical = random.randFloat(-1, 1);
+        const forward = random.randFloat(0, 1);
+        this.velocity.set(
+            side.x * sideways + inward.x * forward,
+            vertical,
+            side.z * sideways + inward.z * forward
+        );
+        this.velocity.normalize().multiplyScalar(this.genes.maxSpeed * 0.5);
+        
+        this.previousPosition.copy(this.position);
+    }
+    
+    applyForce(force) {
+        this.acceleration.add(force);
+    }
+    
+    seek(target) {
+        const desired = new Vector3().subVectors(target, this.position);
+        desired.normalize();
+        desired.multiplyScalar(this.genes.maxSpeed);
+        
+        const steer = new Vector3().subVectors(desired, this.velocity);
+        steer.clampLength(0, this.genes.maxForce);
+        
+        return steer;
+    }
+    
+    // Rebuilds the visible lists: agents within sightRange, inside the
+    // field-of-view cone around the heading, and not hidden behind a closer boid.
+    // Only the PERCEPTION_LIMIT nearest candidates are considered.
+    perceive() {
+        const simulation = this.simulation;
+        const position = this.position;
+        const heading = this.velocity;
+        const speed = heading.length();
+        const cosHalfFov = Math.cos((this.genes.fieldOfView / 2) * Math.PI / 180);
+        const omnidirectional = speed === 0 || this.genes.fieldOfView >= 360;
+        
+        const candidates = simulation.grid.findKNearest(position, this.genes.sightRange, PERCEPTION_LIMIT, other => {
+            if (other === this) return false;
+            if (simulation.playerInvisible && other.isPlayer) return false;
+            if (omnidirectional) return true;
+            
+            const dx = other.position.x - position.x;
+            const dy = other.position.y - position.y;
+            const dz = other.position.z - position.z;
+            const dist = Math.sqrt(dx * dx + dy * dy + dz * dz);
+            return dist === 0 || (dx * heading.x + dy * heading.y + dz * heading.z) >= cosHalfFov * dist * speed;
+        });
+        
+        this.visible.length = 0;
+        this.visibleAllies.length = 0;
+        this.visibleEnemies.length = 0;
+        
+        for (let j = 0; j < candidates.length; j++) {
+            const target = candidates[j];
+            
+            // Any closer candidate can block the line of sight
+            let occluded = false;
+            for (let i = 0; i < j && !occluded; i++) {
+                occluded = blocksLineOfSight(position, target.position, candidates[i].position);
+            }
+            if (occluded) continue;
+            
+            this.visible.push(target);
+            (simulation.areAllies(target.team, this.team) ? this.visibleAllies : this.visibleEnemies).push(target);
+        }
+    }
+    
+    separate() {
+        const desiredSeparation = this.genes.separation.radius;
+        const boids = this.visible;
+        const steer = new Vector3();
+        let count = 0;
+        
+        for (const other of boids) {
+            if (other === this || other.isDead) continue;
+            
+            const dist = this.position.distanceTo(other.position);
+            
+            if (dist > 0 && dist < desiredSeparation) {
+                const diff = new Vector3().subVectors(this.position, other.position);
+                diff.normalize();
+                diff.divideScalar(dist); // Weight by distance
+                steer.add(diff);
+                count++;
+            }
+        }
+        
+        if (count > 0) {
+            steer.divideScalar(count);
+            
+            if (steer.length() > 0) {
+                steer.normalize();
+                steer.multiplyScalar(this.genes.maxSpeed);
+                steer.sub(this.velocity);
+                steer.clampLength(0, this.genes.maxForce);
+            }
+        }
+        
+        return steer.multiplyScalar(this.genes.separation.weight);
+    }
+    
+    align() {
+        const neighborDist = this.genes.alignment.radius;
+        const boids = this.visibleAllies;
+        const sum = new Vector3();
+        let count = 0;
+        
+        for (const other of boids) {
+            if (other === this || other.isDead || !this.simulation.areAllies(other.team, this.team)) continue;
+            if (this.simulation.playerInvisible && other.isPlayer) continue;
+            
+            const dist = this.position.distanceTo(other.position);
+            
+            if (dist > 0 && dist < neighborDist) {
+                sum.add(other.velocity);
+                count++;
+            }
+        }
+        
+        if (count > 0) {
+            sum.divideScalar(count);
+            sum.normalize();
+            sum.multiplyScalar(this.genes.maxSpeed);
+            
+            const steer = new Vector3().subVectors(sum, this.velocity);
+            steer.clampLength(0, this.genes.maxForce);
+            return steer.multiplyScalar(this.genes.alignment.weight);
+        }
+        
+        return new Vector3();
+    }
+    
+    cohesion() {
+        const neighborDist = this.genes.cohesion.radius;
+        const boids = this.visibleAllies;
+        const sum = new Vector3();
+        let count = 0;
+        
+        for (const other of boids) {
+            if (other === this || other.isDead || !this.simulation.areAllies(other.team, this.team)) continue;
+            if (this.simulation.playerInvisible && other.isPlayer) continue;
+            
+            const dist = this.position.distanceTo(other.position);
+            
+            if (dist > 0 && dist < neighborDist) {
+                sum.add(other.position);
+                count++;
+            }
+        }
+        
+        if (count > 0) {
+            sum.divideScalar(count);
+            return this.seek(sum).multiplyScalar(this.genes.cohesion.weight);
+        }
+        
+        return new Vector3();
+    }
+    
+    charge() {
+        const chargeDist = this.genes.charge.radius;
+        
+        // Only charge if health is above threshold for aggression
+        if (this.health < this.maxHealth * this.genes.defensiveness) {
+            return new Vector3();
+        }
+        
+        // Closest visible enemy in range (the list is nearest first)
+        const enemy = this.visibleEnemies.find(other => {
+            if (other.isDead) return false;
+            if (this.simulation.playerInvisible && (other.isPlayer || this.isPlayer)) return false;
+            return this.position.distanceTo(other.position) < chargeDist;
+        });
+        
+        if (enemy) {
+            // Charge towards the closest enemy
+            const chargeForce = this.seek(enemy.position);
+            
+            // Apply aggressiveness as a multiplier
+            return chargeForce.multiplyScalar(this.genes.charge.weight * this.genes.aggressiveness);
+        }
+        
+        return new Vector3();
+    }
+    
+    flee() {
+        const fleeDist = this.genes.flee.radius;
+        const fleeThreshold = this.maxHealth * this.genes.defensiveness;
+        
+        if (this.health > fleeThreshold) {
+            return new Vector3();
+        }
+        
+        const boids = this.visibleEnemies;
+        
+        const steer = new Vector3();
+        let count = 0;
+        
+        for (const other of boids) {
+            if (other === this || other.isDead || this.simulation.areAllies(other.team, this.team)) continue;
+            
+            const dist = this.position.distanceTo(other.position);
+            
+            if (dist < fleeDist) {
+                const diff = new Vector3().subVectors(this.position, other.position);
+                diff.normalize();
+                diff.divideScalar(dist); // Weight by distance
+                steer.add(diff);
+                count++;
+            }
+        }
+        
+        if (count > 0) {
+            steer.divideScalar(count);
+            
+            if (steer.length() > 0) {
+                steer.normalize();
+                steer.multiplyScalar(this.genes.maxSpeed);
+                steer.sub(this.velocity);
+                steer.clampLength(0, this.genes.maxForce);
+            }
+            
+            return steer.multiplyScalar(this.genes.flee.weight);
+        }
+        
+        return new Vector3();
+    }
+    
+    avoidBoundaries() {
+        const margin = 50;
+        const force = new Vector3();
+        const boundary = WORLD_SIZE - margin;
+        
+        // X boundaries
+        if (this.position.x < -boundary) {
+            force.x = this.genes.maxForce * 2 * (1 + Math.abs(this.position.x + boundary) / margin);
+        } else if (this.position.x > boundary) {
+            force.x = -this.genes.maxForce * 2 * (1 + Math.abs(this.position.x - boundary) / margin);
+        }
+        
+        // Y boundaries - strengthen floor avoidance
+        if (this.position.y < FLOOR_Y_POSITION + BOID_SIZE + margin) {
+            // Stronger upward force when close to floor
+            const floorDistance = this.position.y - (FLOOR_Y_POSITION + BOID_SIZE);
+            force.y = this.genes.maxForce * 3 * (1 + Math.abs(floorDistance) / margin);
+        } else if (this.position.y > boundary) {
+            force.y = -this.genes.maxForce * 2 * (1 + Math.abs(this.position.y - boundary) / margin);
+        }
+        
+        // Z boundaries
+        if (this.position.z < -boundary) {
+            force.z = this.genes.maxForce * 2 * (1 + Math.abs(this.position.z + boundary) / margin);
+        } else if (this.position.z > boundary) {
+            force.z = -this.genes.maxForce * 2 * (1 + Math.abs(this.position.z - boundary) / margin);
+        }
+        
+        return force;
+    }
+    
+    handleCollisions() {
+        // Collision response with other boids and damage handling
+        const boids = this.simulation.grid.queryRadius(this.position, COLLISION_DISTANCE);
+        
+        for (const other of boids) {
+            if (other === this || other.isDead) continue;
+            
+            const dist = this.position.distanceTo(other.position);
+            
+            if (dist < COLLISION_DISTANCE) {
+                // Apply collision force
+                const collisionForce = new Vector3()
+                    .subVectors(this.position, other.position)
+                    .normalize()
+                    .multiplyScalar(this.genes.maxForce * 5);
+                
+                this.applyForce(collisionForce);
+                
+                // Deal damage if it's an enemy
+                if (!this.simulation.areAllies(other.team, this.team)) {
+                    // Apply damage on collision
+                    const now = this.simulation.time;
+                    
+                    // Only deal damage if not on cooldown
+                    if (now - this.lastAttackTime >= this.attackCooldown) {
+                        const collisionDamage = this.damage * 0.5; // Reduced collision damage
+                        const damageDealt = other.takeDamage(collisionDamage, this);
+                        this.damageDealt += damageDealt;
+                        this.lastAttackTime = now;
+                    }
+                }
+            }
+        }
+    }
+    
+    attack() {
+        const attackRange = BOID_SIZE * 3;
+        const now = this.simulation.time;
+        
+        // Check if attack is on cooldown
+        if (now - this.lastAttackTime < this.attackCooldown) {
+            return;
+        }
+        
+        // The player sees what the person steering it sees
+        const boids = this.isPlayer ? this.simulation.grid.queryRadius(this.position, attackRange) : this.visibleEnemies;
+        
+        for (const other of boids) {
+            if (other === this || other.isDead || this.simulation.areAllies(other.team, this.team)) continue;
+            if (this.simulation.playerInvisible && (other.isPlayer || this.isPlayer)) continue;
+            
+            const dist = this.position.distanceTo(other.position);
+            
+            if (dist < attackRange) {
+                // Attack the enemy
+                const damageDealt = other.takeDamage(this.damage, this);
+                this.damageDealt += damageDealt;
+                this.lastAttackTime = now;
+                
+                // Let the renderer show the hit
+                this.simulation.emit('attack', this, other);
+                
+                break; // Only attack one enemy at a time
+            }
+        }
+    }
+    
+    takeDamage(amount, attacker = null) {
+        const actualDamage = Math.min(this.health, amount);
+        this.health -= actualDamage;
+        this.damageTaken += actualDamage;
+        if (attacker) {
+            this.damagedBy.add(attacker);
+        }
+        
+        this.simulation.emit('damage', this, attacker, actualDamage);
+        
+        // Check if boid died
+        if (this.health <= 0 && !this.isDead) {
+            this.die();
+            
+            // Record kill for attacker, assists for everyone else who hit it
+            if (attacker) {
+                attacker.kills++;
+            }
+            for (const other of this.damagedBy) {
+                if (other !== attacker) other.assists++;
+            }
+        }
+        
+        return actualDamage;
+    }
+    
+    die() {
+        this.isDead = true;
+        this.deathTime = this.simulation.battleTimer;
+        this.simulation.emit('death', this);
+    }
+    
+    flock() {
+        if (this.isDead) return;
+        
+        if (this.simulation.brains[this.team] === 'neural') {
+            this.steerByNetwork();
+            return;
+        }
+        
+        // Apply flocking behaviors
+        const sep = this.separate();
+        const ali = this.align();
+        const coh = this.cohesion();
+        const cha = this.charge();
+        const fle = this.flee();
+        const bnd = this.avoidBoundaries();
+        
+        // Apply all forces
+        this.applyForce(sep);
+        this.applyForce(ali);
+        this.applyForce(coh);
+        this.applyForce(cha);
+        this.applyForce(fle);
+        this.applyForce(bnd);
+        
+        // Handle collisions with damage
+        this.handleCollisions();
+        
+        // Attack nearby enemies
+        this.attack();
+    }
+    
+    // Neural brain: the network picks a heading and whether to strike. Walls
+    // and collisions still push back, as they do for the weighted brain.
+    steerByNetwork() {
+        const outputs = think(this, this.brainOutputs);
+        
+        const desired = new Vector3(outputs[0], outputs[1], outputs[2]).clampLength(0, 1).multiplyScalar(this.genes.maxSpeed);
+        const steer = desired.sub(this.velocity).clampLength(0, this.genes.maxForce);
+        
+        this.applyForce(steer.multiplyScalar(NEURAL_STEERING_WEIGHT));
+        this.applyForce(this.avoidBoundaries());
+        
+        this.handleCollisions();
+        
+        if (outputs[3] > 0) {
+            this.attack();
+        }
+    }
+    
+    update(delta) {
+        if (this.isDead) return;
+        
+        this.previousPosition.copy(this.position);
+        
+        // Update physics with SPEED_MULTIPLIER for 10x faster movement
+        this.velocity.add(this.acceleration.clone().multiplyScalar(delta));
+        this.velocity.clampLength(0, this.genes.maxSpeed * SPEED_MULTIPLIER);
+        
+        // Move boid
+        this.position.add(this.velocity.clone().multiplyScalar(delta));
+        
+        // Enforce floor boundary - hard limit to prevent going below the floor
+        if (this.position.y < FLOOR_Y_POSITION + BOID_SIZE) {
+            this.position.y = FLOOR_Y_POSITION + BOID_SIZE;
+            this.velocity.y = Math.abs(this.velocity.y) * 0.5; // Bounce slightly
+        }
+        
+        this.acceleration.multiplyScalar(0);
+    }
+    
+    // Scores this boid's battle with its team's fitness definition (see fitness.js)
+    calculateFitness(definition, context) {
+        this.fitnessScore = evaluateFitness(definition, this, context);
+        return this.fitnessScore;
+    }
+}
+
+// True if a boid at `occluder` sits on the line of sight from `from` to `to`
+function blocksLineOfSight(from, to, occluder) {
+    const dx = to.x - from.x;
+    const dy = to.y - from.y;
+    const dz = to.z - from.z;
+    const lengthSq = dx * dx + dy * dy + dz * dz;
+    if (lengthSq === 0) return false;
+    
+    // Closest point of the segment to the occluder's center
+    const t = ((occluder.x - from.x) * dx + (occluder.y - from.y) * dy + (occluder.z - from.z) * dz) / lengthSq;
+    if (t <= 0 || t >= 1) return false;
+    
+    const px = from.x + dx * t - occluder.x;
+    const py = from.y + dy * t - occluder.y;
+    const pz = from.z + dz * t - occluder.z;
+    return px * px + py * py + pz * pz < BOID_SIZE * BOID_SIZE;
+}
@@ -0,0 +1,93 @@
+// sim/brain.js - Brain types and the neural steering network
+//
+// A 'weighted' brain is the classic sum of flocking forces tuned by the genes.
+// A 'neural' brain is a small feed-forward network (one tanh hidden layer)
+// whose weights are genes too, so mutation, crossover and selection evolve it
+// like any other trait. Each team picks its brain (Simulation.brains).
+
+import { BRAIN, TEAMS, WORLD_SIZE, BOID_SIZE, FLOOR_Y_POSITION, SPEED_MULTIPLIER, NEURAL_HIDDEN_SIZE } from './config.js';
+
+export const BRAIN_TYPES = {
+    weighted: 'Weighted steering',
+    neural: 'Neural network'
+};
+
+// Inputs, in order:
+//   nearest visible enemy: offset / sightRange (3), seen flag (1)
+//   nearest visible ally:  offset / sightRange (3), seen flag (1)
+//   own velocity / top speed (3), health share (1)
+//   closeness to each of the six walls, 1 at the wall and 0 past sightRange (6)
+export const NEURAL_INPUTS = 18;
+export const NEURAL_OUTPUTS = 4; // Steering direction (3), attack drive (1)
+export const NEURAL_LAYOUT = [NEURAL_INPUTS, NEURAL_HIDDEN_SIZE, NEURAL_OUTPUTS];
+
+// Every neuron also has a bias weight, stored first
+export const NEURAL_WEIGHT_COUNT = NEURAL_HIDDEN_SIZE * (NEURAL_INPUTS + 1) + NEURAL_OUTPUTS * (NEURAL_HIDDEN_SIZE + 1);
+
+const inputs = new Float64Array(NEURAL_INPUTS);
+const hidden = new Float64Array(NEURAL_HIDDEN_SIZE);
+
+export function createBrainSettings(overrides = {}) {
+    const brains = {};
+    for (const team of Object.values(TEAMS)) {
+        brains[team] = BRAIN_TYPES[overrides[team]] ? overrides[team] : BRAIN;
+    }
+    return brains;
+}
+
+// Runs the boid's network on what it currently senses. Fills `outputs`
+// (length NEURAL_OUTPUTS, each in -1..1) and returns it.
+export function think(boid, outputs) {
+    senseInto(boid, inputs);
+    
+    const weights = boid.genes.brain.weights;
+    let w = 0;
+    
+    for (let h = 0; h < NEURAL_HIDDEN_SIZE; h++) {
+        let sum = weights[w++];
+        for (let i = 0; i < NEURAL_INPUTS; i++) {
+            sum += weights[w++] * inputs[i];
+        }
+        hidden[h] = Math.tanh(sum);
+    }
+    
+    for (let o = 0; o < NEURAL_OUTPUTS; o++) {
+        let sum = weights[w++];
+        for (let h = 0; h < NEURAL_HIDDEN_SIZE; h++) {
+            sum += weights[w++] * hidden[h];
+        }
+        outputs[o] = Math.tanh(sum);
+    }
+    
+    return outputs;
+}
+
+function senseInto(boid, target) {
+    const position = boid.position;
+    const range = boid.genes.sightRange;
+    const enemy = boid.visibleEnemies.find(other => !other.isDead);
+    const ally = boid.visibleAllies.find(other => !other.isDead);
+    let i = 0;
+    
+    for (const other of [enemy, ally]) {
+        target[i++] = other ? (other.position.x - position.x) / range : 0;
+        target[i++] = other ? (other.position.y - position.y) / range : 0;
+        target[i++] = other ? (other.position.z - position.z) / range : 0;
+        target[i++] = other ? 1 : 0;
+    }
+    
+    const topSpeed = boid.genes.maxSpeed * SPEED_MULTIPLIER;
+    target[i++] = boid.velocity.x / topSpeed;
+    target[i++] = boid.velocity.y / topSpeed;
+    target[i++] = boid.velocity.z / topSpeed;
+    target[i++] = boid.health / boid.maxHealth;
+    
+    // Walls: -x, +x, floor, ceiling, -z, +z
+    const closeness = distance => Math.max(0, 1 - distance / range);
+    target[i++] = closeness(position.x + WORLD_SIZE);
+    target[i++] = closeness(WORLD_SIZE - position.x);
+    target[i++] = closeness(position.y - (FLOOR_Y_POSITION + BOID_SIZE));
+    target[i++] = closeness(WORLD_SIZE - position.y);
+    target[i++] = closeness(position.z + WORLD_SIZE);
+    target[i++] = closeness(WORLD_SIZE - position.z);
+}
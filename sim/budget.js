@@ -0,0 +1,63 @@
+// sim/budget.js - Point-buy trait budget
+//
+// Genes with a `cost` in the schema are bought from one budget per genome.
+// A gene's level is its share of its range (flipped for `inverse` genes, whose
+// low values are the strong ones) and costs points × level^exponent, so the
+// top of a range is the expensive part. A genome over budget is projected back
+// onto it by scaling all its levels down by one common factor: the allocation
+// between traits, i.e. the archetype, survives and only its size shrinks.
+
+import { geneSchema, getNestedProperty, setNestedProperty } from './genes.js';
+import { clamp } from './math.js';
+
+const PROJECTION_STEPS = 40; // Bisection steps when solving for the scale factor
+
+export const costedGenes = geneSchema.filter(gene => gene.cost);
+
+// Most a genome can cost, every costed gene at its strongest
+export const MAX_BUDGET = costedGenes.reduce((sum, gene) => sum + gene.cost.points, 0);
+
+export function geneLevel(gene, value) {
+    const share = clamp((value - gene.min) / (gene.max - gene.min), 0, 1);
+    return gene.cost.inverse ? 1 - share : share;
+}
+
+function levelCost(gene, level) {
+    return gene.cost.points * Math.pow(level, gene.cost.exponent);
+}
+
+// [{ gene, level, cost }] for every costed gene of a genome
+export function budgetAllocation(genes) {
+    return costedGenes.map(gene => {
+        const level = geneLevel(gene, getNestedProperty(genes, gene.path));
+        return { gene, level, cost: levelCost(gene, level) };
+    });
+}
+
+export function genomeCost(genes) {
+    return budgetAllocation(genes).reduce((sum, { cost }) => sum + cost, 0);
+}
+
+// Scales the costed genes down until the genome fits `budget`, in place.
+// Genomes within budget are left alone.
+export function projectOntoBudget(genes, budget) {
+    const allocation = budgetAllocation(genes);
+    const cost = scale => allocation.reduce((sum, { gene, level }) => sum + levelCost(gene, level * scale), 0);
+    if (cost(1) <= budget) return genes;
+    
+    // Cost grows with the scale, so bisect for the largest one that fits
+    let low = 0;
+    let high = 1;
+    for (let i = 0; i < PROJECTION_STEPS; i++) {
+        const middle = (low + high) / 2;
+        if (cost(middle) <= budget) low = middle;
+        else high = middle;
+    }
+    
+    for (const { gene, level } of allocation) {
+        const share = gene.cost.inverse ? 1 - level * low : level * low;
+        setNestedProperty(genes, gene.path, gene.min + share * (gene.max - gene.min));
+    }
+    
+    return genes;
+}
@@ -0,0 +1,44 @@
+// sim/clock.js - Fixed-timestep clock between real frames and simulation ticks
+//
+// Real frame time (scaled by speed, frozen while paused) fills an accumulator
+// that is drained in whole ticks. Whatever is left over becomes `alpha`, the
+// fraction of a tick the renderer should interpolate by.
+
+export const TICK_RATE = 60; // Simulation ticks per second
+export const MAX_TICKS_PER_FRAME = 20; // Drop time rather than spiral after a long stall
+
+export class SimulationClock {
+    constructor({ tickRate = TICK_RATE, maxTicksPerFrame = MAX_TICKS_PER_FRAME } = {}) {
+        this.tickDuration = 1 / tickRate;
+        this.maxTicksPerFrame = maxTicksPerFrame;
+        this.accumulator = 0;
+        this.speed = 1;
+        this.paused = false;
+    }
+    
+    // Returns how many ticks to run for this frame
+    advance(realDelta) {
+        if (this.paused) return 0;
+        
+        this.accumulator += realDelta * this.speed;
+        
+        let ticks = Math.floor(this.accumulator / this.tickDuration);
+        if (ticks > this.maxTicksPerFrame) {
+            ticks = this.maxTicksPerFrame;
+            this.accumulator = 0;
+        } else {
+            this.accumulator -= ticks * this.tickDuration;
+        }
+        
+        return ticks;
+    }
+    
+    // How far the render frame sits between the last tick and the next one
+    get alpha() {
+        return this.accumulator / this.tickDuration;
+    }
+    
+    reset() {
+        this.accumulator = 0;
+    }
+}
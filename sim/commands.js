@@ -0,0 +1,87 @@
+// sim/commands.js - Control commands shared by the local and worker runners
+//
+// The debug panel only ever talks to a runner through these names, so the
+// same controls work whether the simulation lives on this thread or in a worker.
+
+import { createFitnessDefinition } from './fitness.js';
+import { BRAIN_TYPES } from './brain.js';
+
+export function runCommand(simulation, clock, name, args = []) {
+    switch (name) {
+        case 'setPaused':
+            clock.paused = args[0];
+            break;
+        case 'setSpeed':
+            clock.speed = args[0];
+            break;
+        case 'endBattle':
+            simulation.endBattle();
+            break;
+        case 'startNewGeneration':
+            // A reset may have restarted the battle while this was pending;
+            // island battles and league matches still running are waited for
+            if (!simulation.battleActive) simulation.queueNewGeneration();
+            break;
+        case 'reset':
+            simulation.reset(args[0]);
+            clock.reset();
+            break;
+        case 'setTeamSize':
+            // Every team's population, from the next generation
+            simulation.teamSize = args[0];
+            for (const team of simulation.teams) simulation.evolution[team].teamSize = args[0];
+            break;
+        case 'setEvolution':
+            // (settings, team); partial settings, see createEvolutionSettings, for one
+            // team or all of them. Used from the next generation.
+            for (const team of args[1] ? [args[1]] : simulation.teams) {
+                Object.assign(simulation.evolution[team], args[0]);
+            }
+            if (!args[1] && args[0].teamSize) simulation.teamSize = args[0].teamSize;
+            break;
+        case 'setLeague':
+            // Partial settings, see createLeagueSettings; snapshots from the next battle's end
+            Object.assign(simulation.league.settings, args[0]);
+            simulation.league.version++;
+            break;
+        case 'setIslands':
+            // Partial settings, see createIslandSettings; used from the next generation
+            Object.assign(simulation.islands.settings, args[0]);
+            simulation.islands.version++;
+            break;
+        case 'setAlliances':
+            // Groups of team ids, e.g. [['red', 'green']]; [] is free-for-all
+            simulation.setAlliances(args[0]);
+            break;
+        case 'setFitness':
+            // (team, definition); scores from the end of the current battle
+            simulation.fitness[args[0]] = createFitnessDefinition(args[1]);
+            break;
+        case 'setBrain':
+            // (team, type); takes over steering from the next tick
+            if (!BRAIN_TYPES[args[1]]) {
+                throw new Error(`Unknown brain type: ${args[1]}`);
+            }
+            simulation.brains[args[0]] = args[1];
+            break;
+        case 'importGenomes':
+            // (mode, team, genomes, brain); validated genomes, see genome-io.js
+            simulation.importGenomes(...args);
+            break;
+        case 'injectGenome':
+            // (team, genes, origin, parents) for the team's next generation
+            simulation.injectGenome(...args);
+            break;
+        case 'setPlayerInvisible':
+            simulation.playerInvisible = args[0];
+            break;
+        case 'setPlayerControlled':
+            simulation.playerControlled = args[0];
+            break;
+        case 'resetPlayerPosition':
+            simulation.resetPlayerPosition();
+            break;
+        default:
+            throw new Error(`Unknown simulation command: ${name}`);
+    }
+}
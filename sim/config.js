@@ -0,0 +1,63 @@
+// sim/config.js - Shared simulation constants
+
+export const WORLD_SIZE = 800;
+export const TEAMS = {
+    RED: 'red',
+    BLUE: 'blue',
+    GREEN: 'green',
+    YELLOW: 'yellow',
+    PURPLE: 'purple',
+    CYAN: 'cyan'
+};
+export const TEAM_COUNT = 2; // Teams in a battle, taken in TEAMS order (2 to 6)
+export const TEAM_COLORS = {
+    red: 0xff3333,
+    blue: 0x3333ff,
+    green: 0x33cc33,
+    yellow: 0xffcc00,
+    purple: 0xaa33ff,
+    cyan: 0x00cccc
+};
+export const ALLIANCES = []; // Groups of teams that don't fight each other, e.g. [['red', 'green']]; none = free-for-all
+export const TEAM_SIZES = 50;
+export const BATTLE_DURATION = 90; // seconds
+export const MUTATION_OPERATOR = 'multiplicative'; // See sim/mutation.js
+export const MUTATION_RATE = 0.15;
+export const MUTATION_AMOUNT = 0.25; // Multiplicative: max relative change
+export const MUTATION_SIGMA = 0.1; // Gaussian: standard deviation as a share of the gene's range
+export const MUTATION_SCHEDULE = 'constant'; // Annealing of the mutation rate over generations
+export const ANNEALING_GENERATIONS = 100; // Generations until an annealed rate reaches its minimum
+export const MIN_MUTATION_RATE = 0.02;
+export const CROSSOVER_RATE = 0; // Share of offspring bred from two parents; 0 = clone and mutate only
+export const CROSSOVER_OPERATOR = 'uniform'; // See sim/crossover.js
+export const SELECTION_STRATEGY = 'roulette'; // See sim/selection.js
+export const SELECTION_POOL = 'survivors';
+export const ELITISM = 0; // Top genomes copied unchanged into the next generation
+export const HALL_OF_FAME_SIZE = 20; // Best genomes archived per team
+export const WIPEOUT_POOL = 'random'; // Where a wiped-out team breeds from: 'random' (a fresh team), 'fallen' or 'hallOfFame'
+export const CHAMPION_REINJECTION = 0; // Hall of fame genomes copied into every new generation
+export const BOID_SIZE = 8; // Larger spheres
+export const COLLISION_DISTANCE = BOID_SIZE * 2.2;
+export const SPEED_MULTIPLIER = 10; // Warriors are 10x faster
+export const FLOOR_Y_POSITION = -WORLD_SIZE/2 + 5; // Fixed floor position
+export const PERCEPTION_LIMIT = 16; // Most agents a boid keeps track of at once (the nearest ones)
+export const PERCEPTION_INTERVAL = 3; // Ticks between perception updates, staggered across boids
+export const BRAIN = 'weighted'; // Default brain for both teams: 'weighted' or 'neural' (see sim/brain.js)
+export const NEURAL_HIDDEN_SIZE = 8; // Neurons in the neural brain's hidden layer
+export const NEURAL_WEIGHT_RANGE = 1; // Network weights live in -range..range
+export const NEURAL_STEERING_WEIGHT = 10; // Strength of the network's steering, like a flocking weight
+export const SPECIATION = false; // Cluster each team into species and share fitness within them
+export const SPECIES_THRESHOLD = 0.15; // Genome distance (mean normalized gap per gene) that splits species
+export const DIVERSITY_SAMPLE_SIZE = 100; // Most genomes compared pairwise when measuring diversity
+export const LEAGUE_ENABLED = false; // Snapshot every generation and rate snapshots against each other
+export const LEAGUE_MATCHES = 2; // Matches each new snapshot plays against older ones
+export const LEAGUE_SQUAD_SIZE = 20; // Genomes kept per snapshot, and fighters per side in a match
+export const LEAGUE_BATTLE_DURATION = 30; // seconds per league match
+export const LEAGUE_CAPACITY = 60; // Snapshots that still play; older ones keep their final rating
+export const LEAGUE_INITIAL_RATING = 1000;
+export const LEAGUE_K_FACTOR = 24; // Elo step size
+export const ISLAND_COUNT = 1; // Sub-populations per team; 1 is a single population
+export const MIGRATION_INTERVAL = 5; // Generations between migrations
+export const MIGRATION_SIZE = 2; // Fittest genomes per team sent to the next island
+export const TRAIT_BUDGET = 0; // Point-buy budget for the costed genes (see sim/budget.js); 0 = unlimited
+export const LINEAGE_GENERATIONS = 100; // Generations of ancestry the lineage graph keeps
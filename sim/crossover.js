@@ -0,0 +1,79 @@
+// sim/crossover.js - Two-parent recombination operators over the gene schema
+//
+// Every operator walks the genes it is given (geneSchema by default, or a
+// team's activeGenes), so new genes take part automatically. Genes left out
+// are copied from the first parent. Children are clamped; mutation is applied
+// separately afterwards.
+
+import { geneSchema, getNestedProperty, setNestedProperty, clampGenes } from './genes.js';
+import { lerp } from './math.js';
+
+export const BLX_ALPHA = 0.5; // How far past the parents' interval a blend child may land
+
+export const CROSSOVER_OPERATORS = {
+    // Each gene from either parent with equal odds
+    uniform(a, b, random, schema) {
+        return schema.map(gene => getNestedProperty(random.random() < 0.5 ? a : b, gene.path));
+    },
+    
+    // Genes before a random cut point from one parent, the rest from the other
+    singlePoint(a, b, random, schema) {
+        const point = random.randInt(1, schema.length - 1);
+        return schema.map((gene, i) => getNestedProperty(i < point ? a : b, gene.path));
+    },
+    
+    // BLX-alpha: uniform pick from the parents' interval widened by BLX_ALPHA on both sides
+    blend(a, b, random, schema) {
+        return schema.map(gene => {
+            const x = getNestedProperty(a, gene.path);
+            const y = getNestedProperty(b, gene.path);
+            const low = Math.min(x, y);
+            const high = Math.max(x, y);
+            const spread = (high - low) * BLX_ALPHA;
+            return lerp(low - spread, high + spread, random.random());
+        });
+    }
+};
+
+export const CROSSOVER_LABELS = {
+    uniform: 'Uniform',
+    singlePoint: 'Single Point',
+    blend: 'Blend (BLX-α)'
+};
+
+export function crossoverGenes(a, b, operator, random, schema = geneSchema) {
+    const combine = CROSSOVER_OPERATORS[operator];
+    if (!combine) {
+        throw new Error(`Unknown crossover operator: ${operator}`);
+    }
+    
+    const child = JSON.parse(JSON.stringify(a)); // Keeps anything outside the schema
+    combine(a, b, random, schema).forEach((value, i) => setNestedProperty(child, schema[i].path, value));
+    if (a.mutationSteps || b.mutationSteps) inheritSteps(child, a, b, schema);
+    return clampGenes(child);
+}
+
+// Self-adaptive step sizes (see mutation.js) follow their genes: each comes
+// from the parent that supplied the gene, blended genes average both parents'
+function inheritSteps(child, a, b, schema) {
+    const stepsA = a.mutationSteps || {};
+    const stepsB = b.mutationSteps || {};
+    const steps = { ...stepsA };
+    
+    for (const gene of schema) {
+        const value = getNestedProperty(child, gene.path);
+        const fromA = stepsA[gene.name];
+        const fromB = stepsB[gene.name];
+        let step;
+        if (value === getNestedProperty(a, gene.path)) {
+            step = fromA ?? fromB;
+        } else if (value === getNestedProperty(b, gene.path)) {
+            step = fromB ?? fromA;
+        } else {
+            step = fromA !== undefined && fromB !== undefined ? (fromA + fromB) / 2 : fromA ?? fromB;
+        }
+        if (step !== undefined) steps[gene.name] = step;
+    }
+    
+    child.mutationSteps = steps;
+}
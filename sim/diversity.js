@@ -0,0 +1,128 @@
+// sim/diversity.js - Genome distance, population diversity and speciation
+//
+// Distances are measured on genes normalized to their schema range, so every
+// gene counts alike and a distance is the mean gap per gene (0 = clones,
+// 1 = opposite ends of every range). Only the genes the team's brain actually
+// uses are compared: network weights drift freely under the weighted brain.
+
+import { DIVERSITY_SAMPLE_SIZE } from './config.js';
+import { geneSchema, getNestedProperty } from './genes.js';
+
+export function activeGenes(brain) {
+    return brain === 'neural' ? geneSchema : geneSchema.filter(gene => !gene.brain);
+}
+
+// Genome as an array of 0..1 values, one per entry of `genes`
+export function normalizeGenome(genome, genes) {
+    const values = new Float64Array(genes.length);
+    for (let i = 0; i < genes.length; i++) {
+        const gene = genes[i];
+        values[i] = (getNestedProperty(genome, gene.path) - gene.min) / (gene.max - gene.min);
+    }
+    return values;
+}
+
+// Distance between two normalized genomes
+export function normalizedDistance(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) {
+        sum += Math.abs(a[i] - b[i]);
+    }
+    return a.length > 0 ? sum / a.length : 0;
+}
+
+export function genomeDistance(a, b, genes = geneSchema) {
+    return normalizedDistance(normalizeGenome(a, genes), normalizeGenome(b, genes));
+}
+
+// { meanDistance, maxDistance, geneSpread } for a list of genomes. geneSpread is
+// the mean per-gene standard deviation (normalized). Large teams are measured on
+// an evenly spaced sample of DIVERSITY_SAMPLE_SIZE genomes.
+export function measureDiversity(genomes, genes = geneSchema) {
+    const step = Math.max(1, genomes.length / DIVERSITY_SAMPLE_SIZE);
+    const sample = [];
+    for (let i = 0; i < genomes.length; i += step) {
+        sample.push(normalizeGenome(genomes[Math.floor(i)], genes));
+    }
+    
+    let total = 0;
+    let maxDistance = 0;
+    let pairs = 0;
+    for (let i = 0; i < sample.length; i++) {
+        for (let j = i + 1; j < sample.length; j++) {
+            const distance = normalizedDistance(sample[i], sample[j]);
+            total += distance;
+            maxDistance = Math.max(maxDistance, distance);
+            pairs++;
+        }
+    }
+    
+    let spread = 0;
+    if (sample.length > 1) {
+        for (let g = 0; g < genes.length; g++) {
+            let mean = 0;
+            for (const values of sample) mean += values[g];
+            mean /= sample.length;
+            
+            let variance = 0;
+            for (const values of sample) variance += (values[g] - mean) ** 2;
+            spread += Math.sqrt(variance / sample.length);
+        }
+        spread /= genes.length;
+    }
+    
+    return {
+        meanDistance: pairs > 0 ? total / pairs : 0,
+        maxDistance,
+        geneSpread: spread
+    };
+}
+
+// Clusters boids into species. A boid joins the first species whose
+// representative is within `threshold`, otherwise it founds a new one.
+// Species carry over between generations through their representative
+// (the fittest member of the previous generation), so ids stay stable.
+// Returns [{ id, representative, members, bestFitness }], largest first.
+export function speciate(previous, boids, { threshold, genes, nextId }) {
+    const species = previous.map(({ id, representative }) => ({
+        id,
+        representative,
+        center: normalizeGenome(representative, genes),
+        members: []
+    }));
+    
+    for (const boid of boids) {
+        const values = normalizeGenome(boid.genes, genes);
+        let home = species.find(s => normalizedDistance(values, s.center) < threshold);
+        
+        if (!home) {
+            home = { id: nextId(), representative: boid.genes, center: values, members: [] };
+            species.push(home);
+        }
+        home.members.push(boid);
+    }
+    
+    return species
+        .filter(s => s.members.length > 0)
+        .map(({ id, members }) => {
+            const best = members.reduce((a, b) => b.fitnessScore > a.fitnessScore ? b : a);
+            return { id, representative: best.genes, members, bestFitness: best.fitnessScore };
+        })
+        .sort((a, b) => b.members.length - a.members.length);
+}
+
+// Fitness sharing: each boid's fitness divided by its species' size, so a big
+// species of near-clones cannot crowd out a small one. Returns breeding pool
+// entries ({ genes, fitnessScore }) for the selection strategies.
+export function shareFitness(pool, species) {
+    const sizes = new Map();
+    for (const s of species) {
+        for (const boid of s.members) sizes.set(boid, s.members.length);
+    }
+    
+    return pool.map(boid => ({
+        id: boid.id,
+        genes: boid.genes,
+        fitnessScore: boid.fitnessScore / (sizes.get(boid) || 1)
+    }));
+}
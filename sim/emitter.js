@@ -0,0 +1,20 @@
+// sim/emitter.js - Tiny event emitter shared by the simulation and its mirrors
+
+export class EventEmitter {
+    constructor() {
+        this.listeners = {};
+    }
+    
+    on(event, listener) {
+        (this.listeners[event] || (this.listeners[event] = [])).push(listener);
+    }
+    
+    emit(event, ...args) {
+        const listeners = this.listeners[event];
+        if (!listeners) return;
+        
+        for (const listener of listeners) {
+            listener(...args);
+        }
+    }
+}
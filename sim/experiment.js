@@ -0,0 +1,279 @@
+// sim/experiment.js - Headless experiments: parameter sweeps over seeded runs
+//
+// An experiment spec is JSON:
+//   { name, generations, seeds, base, sweep }
+// `base` holds Simulation options shared by every run; `sweep` maps a
+// parameter to the values to try, and every combination of values runs once
+// per seed. Parameters, in either, are Simulation option paths
+// ('battleDuration', 'evolution.mutationRate', ...) or the config.js names in
+// SWEEP_PARAMETERS; `base` may also nest them ({ evolution: { elitism: 2 } }).
+// `seeds` is a list of seeds or a count (seeds 1..n).
+//
+// Runs only touch their own Simulation, so results depend on the spec alone.
+// File output and printing are left to the caller (tools/experiment.js).
+
+import { geneSchema, getNestedProperty, setNestedProperty } from './genes.js';
+import { createIslandSettings } from './islands.js';
+import { createLeagueSettings } from './league.js';
+import { sortByFitness } from './selection.js';
+import { Simulation, createEvolutionSettings } from './simulation.js';
+
+// config.js name -> Simulation option path
+export const SWEEP_PARAMETERS = {
+    TEAM_SIZES: 'teamSize',
+    TEAM_COUNT: 'teamCount',
+    BATTLE_DURATION: 'battleDuration',
+    MUTATION_OPERATOR: 'evolution.mutationOperator',
+    MUTATION_RATE: 'evolution.mutationRate',
+    MUTATION_AMOUNT: 'evolution.mutationAmount',
+    MUTATION_SIGMA: 'evolution.mutationSigma',
+    MUTATION_SCHEDULE: 'evolution.mutationSchedule',
+    ANNEALING_GENERATIONS: 'evolution.annealingGenerations',
+    MIN_MUTATION_RATE: 'evolution.minMutationRate',
+    CROSSOVER_RATE: 'evolution.crossoverRate',
+    CROSSOVER_OPERATOR: 'evolution.crossoverOperator',
+    SELECTION_STRATEGY: 'evolution.selection',
+    SELECTION_POOL: 'evolution.selectionPool',
+    ELITISM: 'evolution.elitism',
+    WIPEOUT_POOL: 'evolution.wipeoutPool',
+    CHAMPION_REINJECTION: 'evolution.championReinjection',
+    SPECIATION: 'evolution.speciation',
+    SPECIES_THRESHOLD: 'evolution.speciesThreshold',
+    TRAIT_BUDGET: 'evolution.traitBudget',
+    ISLAND_COUNT: 'islands.count',
+    MIGRATION_INTERVAL: 'islands.migrationInterval',
+    MIGRATION_SIZE: 'islands.migrationSize'
+};
+
+// Simulation options a spec may set (the seed comes from `seeds`). Those with
+// settings are checked setting by setting, teamEvolution's per team; the
+// others take any value.
+const SPEC_OPTIONS = {
+    tickRate: null,
+    teamSize: null,
+    teamCount: null,
+    alliances: null,
+    battleDuration: null,
+    evolution: createEvolutionSettings(),
+    teamEvolution: createEvolutionSettings(),
+    fitness: null,
+    brains: null,
+    league: createLeagueSettings(),
+    islands: createIslandSettings()
+};
+
+// Genes averaged per team and generation (brain weights would swamp the output)
+export const experimentGenes = geneSchema.filter(gene => !gene.brain);
+
+// Checks a spec and fills in its defaults; throws an Error on the first problem
+export function createExperiment({ name = 'experiment', generations, seeds = 1, base = {}, sweep = {} } = {}) {
+    if (!Number.isInteger(generations) || generations < 1) {
+        throw new Error('generations must be a positive whole number');
+    }
+    
+    const seedList = Array.isArray(seeds) ? seeds : Array.from({ length: seeds }, (_, i) => i + 1);
+    if (seedList.length === 0 || !seedList.every(seed => Number.isInteger(seed) && seed >= 0)) {
+        throw new Error('seeds must be a positive count or a list of non-negative whole numbers');
+    }
+    
+    baseOptions(base);
+    for (const [parameter, values] of Object.entries(sweep)) {
+        optionPath(parameter);
+        if (!Array.isArray(values) || values.length === 0) {
+            throw new Error(`sweep.${parameter} must be a non-empty list of values`);
+        }
+    }
+    
+    return { name, generations, seeds: seedList, base, sweep };
+}
+
+// The Simulation option path a parameter stands for; throws an Error if it is
+// neither an option path nor in SWEEP_PARAMETERS
+export function optionPath(parameter) {
+    const path = Object.hasOwn(SWEEP_PARAMETERS, parameter) ? SWEEP_PARAMETERS[parameter] : parameter;
+    const [option, ...keys] = path.split('.');
+    const settings = Object.hasOwn(SPEC_OPTIONS, option) ? SPEC_OPTIONS[option] : undefined;
+    const setting = option === 'teamEvolution' ? keys[1] : keys[0];
+    
+    if (settings === undefined || (settings && setting !== undefined && !Object.hasOwn(settings, setting))) {
+        throw new Error(`Unknown parameter ${parameter}`);
+    }
+    return path;
+}
+
+// Whether a value at `path` is a group of settings rather than one setting
+function isSettingsGroup(path, value) {
+    const [option, ...keys] = path.split('.');
+    const depth = option === 'teamEvolution' ? 2 : 1;
+    return SPEC_OPTIONS[option] !== null && keys.length < depth && value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// `base` as Simulation options, every parameter mapped and checked like the swept ones
+export function baseOptions(base, prefix = '', options = {}) {
+    for (const [parameter, value] of Object.entries(base)) {
+        const path = optionPath(prefix + parameter);
+        if (isSettingsGroup(path, value)) {
+            baseOptions(value, `${path}.`, options);
+        } else {
+            setNestedProperty(options, path, JSON.parse(JSON.stringify(value)));
+        }
+    }
+    return options;
+}
+
+// Every combination of swept values, in spec order: [{ parameter: value }]
+export function sweepConfigurations(sweep) {
+    return Object.entries(sweep).reduce((configurations, [parameter, values]) =>
+        configurations.flatMap(configuration => values.map(value => ({ ...configuration, [parameter]: value }))),
+    [{}]);
+}
+
+// One entry per configuration and seed: { id, configuration, parameters, seed, options }
+export function experimentRuns(experiment) {
+    return sweepConfigurations(experiment.sweep).flatMap((parameters, configuration) =>
+        experiment.seeds.map(seed => {
+            const options = baseOptions(experiment.base);
+            for (const [parameter, value] of Object.entries(parameters)) {
+                setNestedProperty(options, optionPath(parameter), value);
+            }
+            
+            // Team size is an evolution setting too; keep both places in step
+            if (options.evolution && options.evolution.teamSize !== undefined && options.teamSize === undefined) {
+                options.teamSize = options.evolution.teamSize;
+            }
+            if (options.evolution) delete options.evolution.teamSize;
+            
+            const label = Object.entries(parameters).map(([parameter, value]) => `${parameter}=${value}`).join(',');
+            return {
+                id: `${label || 'base'}#${seed}`,
+                configuration,
+                parameters,
+                seed,
+                options: { ...options, seed }
+            };
+        }));
+}
+
+// Plays a run's generations; returns one record per generation and team (see
+// teamRecords). `onGeneration(generation, records)` follows progress.
+export function runExperiment(run, generations, { onGeneration = null } = {}) {
+    const simulation = new Simulation(run.options);
+    simulation.initializeBoids();
+    
+    const records = [];
+    for (let g = 0; g < generations; g++) {
+        while (simulation.battleActive) simulation.step();
+        
+        // League matches of this generation are part of the run
+        while (simulation.league.busy) simulation.league.run(Infinity);
+        
+        const generationRecords = teamRecords(simulation, run);
+        records.push(...generationRecords);
+        if (onGeneration) onGeneration(simulation.generation, generationRecords);
+        
+        simulation.startNewGeneration(simulation.lastBattle.survivors);
+    }
+    
+    return records;
+}
+
+// The finished battle, per team: survivors, fitness stats and gene means
+export function teamRecords(simulation, run) {
+    const { result } = simulation.lastBattle;
+    
+    return simulation.teams.map(team => {
+        const members = simulation.boids.filter(b => b.team === team && !b.isPlayer);
+        const scores = sortByFitness(members).map(b => b.fitnessScore);
+        const stats = describeValues(scores);
+        
+        return {
+            run: run.id,
+            configuration: run.configuration,
+            parameters: run.parameters, // Swept values, so CSV rows stand on their own
+            seed: run.seed,
+            generation: result.generation,
+            team,
+            population: members.length,
+            survivors: result.survivors[team],
+            won: result.winners.includes(team),
+            draw: result.winners.length === 0,
+            bestFitness: scores.length > 0 ? scores[0] : 0,
+            meanFitness: stats.mean,
+            medianFitness: scores.length > 0 ? scores[Math.floor((scores.length - 1) / 2)] : 0,
+            worstFitness: scores.length > 0 ? scores[scores.length - 1] : 0,
+            fitnessDeviation: stats.deviation,
+            genes: Object.fromEntries(experimentGenes.map(gene =>
+                [gene.name, describeValues(members.map(b => getNestedProperty(b.genes, gene.path))).mean]))
+        };
+    });
+}
+
+// Mean and (population) standard deviation; zeros when there are no values
+export function describeValues(values) {
+    if (values.length === 0) return { mean: 0, deviation: 0 };
+    
+    const mean = values.reduce((a, b) => a + b, 0) / values.length;
+    const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+    return { mean, deviation: Math.sqrt(variance) };
+}
+
+// Per configuration and team, across seeds: share of battles won and the last
+// generation's survivors and fitness as mean and deviation over seeds
+export function summarizeExperiment(experiment, records) {
+    const configurations = sweepConfigurations(experiment.sweep);
+    const lastGeneration = Math.max(...records.map(record => record.generation));
+    const summary = [];
+    
+    configurations.forEach((parameters, configuration) => {
+        const own = records.filter(record => record.configuration === configuration);
+        for (const team of [...new Set(own.map(record => record.team))]) {
+            const battles = own.filter(record => record.team === team);
+            const final = battles.filter(record => record.generation === lastGeneration);
+            const survivors = describeValues(final.map(record => record.survivors));
+            const best = describeValues(final.map(record => record.bestFitness));
+            const mean = describeValues(final.map(record => record.meanFitness));
+            
+            summary.push({
+                configuration,
+                parameters,
+                team,
+                runs: final.length,
+                winRate: battles.filter(record => record.won).length / battles.length,
+                drawRate: battles.filter(record => record.draw).length / battles.length,
+                finalSurvivors: survivors.mean,
+                finalSurvivorsDeviation: survivors.deviation,
+                finalBestFitness: best.mean,
+                finalBestFitnessDeviation: best.deviation,
+                finalMeanFitness: mean.mean,
+                finalMeanFitnessDeviation: mean.deviation
+            });
+        }
+    });
+    
+    return summary;
+}
+
+// Flat rows for CSV: nested objects (genes, parameters) become prefixed columns
+export function flattenRecord(record) {
+    const row = {};
+    for (const [key, value] of Object.entries(record)) {
+        if (value && typeof value === 'object') {
+            for (const [inner, innerValue] of Object.entries(value)) row[`${key}.${inner}`] = innerValue;
+        } else {
+            row[key] = value;
+        }
+    }
+    return row;
+}
+
+// CSV text with a header row; columns are those of the first row
+export function toCSV(rows) {
+    if (rows.length === 0) return '';
+    
+    const columns = Object.keys(rows[0]);
+    const cell = value => {
+        const text = typeof value === 'number' ? String(Number(value.toPrecision(6))) : String(value ?? '');
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [columns.join(','), ...rows.map(row => columns.map(column => cell(row[column])).join(','))].join('\n') + '\n';
+}
@@ -0,0 +1,81 @@
+// sim/fitness.js - Fitness definitions built from weighted terms
+//
+// A definition is a list of { term, weight } pairs; a boid's fitness is the
+// weighted sum of the term values at the end of the battle. Each team has
+// its own definition (Simulation.fitness).
+
+import { TEAMS } from './config.js';
+
+export const FITNESS_FLOOR = 1; // Roulette selection needs positive scores
+
+// value(boid, context) with context from createFitnessContext
+export const FITNESS_TERMS = {
+    survived: { label: 'Survived (0/1)', value: boid => boid.isDead ? 0 : 1 },
+    timeAlive: { label: 'Time Alive (s)', value: (boid, context) => boid.isDead ? boid.deathTime : context.battleTimer },
+    kills: { label: 'Kills', value: boid => boid.kills },
+    assists: { label: 'Assists', value: boid => boid.assists },
+    damageDealt: { label: 'Damage Dealt', value: boid => boid.damageDealt },
+    damageTaken: { label: 'Damage Taken', value: boid => boid.damageTaken },
+    damageEfficiency: { label: 'Damage Efficiency (dealt / taken)', value: boid => boid.damageDealt / Math.max(1, boid.damageTaken) },
+    damageShare: { label: 'Share of Team Damage', value: (boid, context) => boid.damageDealt / Math.max(1, context.teamDamageDealt) },
+    teamSurvival: { label: 'Team Survival Share', value: (boid, context) => context.teamSurvivors / Math.max(1, context.teamSize) },
+    teamMargin: {
+        label: 'Survivor Margin vs Enemy Teams',
+        value: (boid, context) => (context.teamSurvivors - context.enemySurvivors) / Math.max(1, context.teamSize)
+    }
+};
+
+// The original hard-coded objective
+export const DEFAULT_FITNESS = [
+    { term: 'survived', weight: 100 },
+    { term: 'kills', weight: 50 },
+    { term: 'damageDealt', weight: 0.5 },
+    { term: 'damageTaken', weight: -0.2 } // Negative impact, but not too severe
+];
+
+export function createFitnessDefinition(terms = DEFAULT_FITNESS) {
+    return terms
+        .filter(({ term, weight }) => FITNESS_TERMS[term] && Number.isFinite(weight) && weight !== 0)
+        .map(({ term, weight }) => ({ term, weight }));
+}
+
+export function createFitnessDefinitions(overrides = {}) {
+    const definitions = {};
+    for (const team of Object.values(TEAMS)) {
+        definitions[team] = createFitnessDefinition(overrides[team]);
+    }
+    return definitions;
+}
+
+// Team-level numbers that the relative terms need
+export function createFitnessContext(simulation, team) {
+    const members = simulation.boids.filter(b => b.team === team && !b.isPlayer);
+    const enemies = simulation.boids.filter(b => !simulation.areAllies(b.team, team) && !b.isPlayer);
+    const enemyTeams = new Set(enemies.map(b => b.team)).size;
+    
+    return {
+        battleTimer: simulation.battleTimer,
+        teamSize: members.length,
+        teamSurvivors: members.filter(b => !b.isDead).length,
+        enemySurvivors: enemies.filter(b => !b.isDead).length / Math.max(1, enemyTeams), // Per enemy team
+        teamDamageDealt: members.reduce((sum, b) => sum + b.damageDealt, 0)
+    };
+}
+
+export function evaluateFitness(definition, boid, context) {
+    let fitness = 0;
+    for (const { term, weight } of definition) {
+        fitness += weight * FITNESS_TERMS[term].value(boid, context);
+    }
+    return Math.max(FITNESS_FLOOR, fitness);
+}
+
+// Human-readable formula, e.g. "100×survived + 50×kills − 0.2×damageTaken"
+export function describeFitness(definition) {
+    if (definition.length === 0) return String(FITNESS_FLOOR);
+    
+    return definition.map(({ term, weight }, i) => {
+        const sign = weight < 0 ? (i === 0 ? '−' : ' − ') : (i === 0 ? '' : ' + ');
+        return `${sign}${Math.abs(weight)}×${term}`;
+    }).join('');
+}
@@ -0,0 +1,106 @@
+// sim/genes.js - Gene schema, random creation and clamping
+//
+// geneSchema is the single place a trait is declared. Creation, mutation,
+// clamping, the boid info panel and the gene heatmaps are all driven from it.
+
+import { lerp, clamp } from './math.js';
+import { NEURAL_WEIGHT_COUNT } from './brain.js';
+import { NEURAL_WEIGHT_RANGE } from './config.js';
+
+// One entry per gene:
+//   name      - flat identifier (exports, CSV columns)
+//   path      - where the value lives in a genome, dot separated
+//   label     - display name
+//   min, max  - valid range; values are clamped into it
+//   mutation  - { rate, amount, sigma } overrides of the evolution settings, and an
+//               operator used instead of 'multiplicative' (see mutation.js)
+//   decimals  - display precision (0 shows whole numbers)
+//   info      - listed under Genes in the boid info panel
+//   heatmap   - gets a heatmap in the gene visualization panel
+//   brain     - a neural brain weight (see brain.js); summarized rather than listed
+//   cost      - { points, exponent, inverse } point-buy cost curve under a trait budget (see budget.js)
+//
+// Ranges favor aggression, large detection radii and MUCH FASTER boids.
+// Keep the order stable: it is the order random values are drawn in.
+export const geneSchema = [
+    { name: 'separationWeight', path: 'separation.weight', label: 'Separation Weight', min: 0.5, max: 8, decimals: 2, info: true, heatmap: true },
+    { name: 'separationRadius', path: 'separation.radius', label: 'Separation Radius', min: 10, max: 60, decimals: 0, info: true },
+    { name: 'alignmentWeight', path: 'alignment.weight', label: 'Alignment Weight', min: 0.5, max: 8, decimals: 2, info: true, heatmap: true },
+    { name: 'alignmentRadius', path: 'alignment.radius', label: 'Alignment Radius', min: 20, max: 120, decimals: 0, info: true },
+    { name: 'cohesionWeight', path: 'cohesion.weight', label: 'Cohesion Weight', min: 0.5, max: 8, decimals: 2, info: true, heatmap: true },
+    { name: 'cohesionRadius', path: 'cohesion.radius', label: 'Cohesion Radius', min: 20, max: 120, decimals: 0, info: true },
+    { name: 'chargeWeight', path: 'charge.weight', label: 'Charge Weight', min: 3.0, max: 20, decimals: 2, info: true, heatmap: true },
+    { name: 'chargeRadius', path: 'charge.radius', label: 'Charge Radius', min: 100, max: 500, decimals: 0, info: true, heatmap: true }, // Much larger radius to seek enemies
+    { name: 'fleeWeight', path: 'flee.weight', label: 'Flee Weight', min: 1.0, max: 15, decimals: 2, info: true },
+    { name: 'fleeRadius', path: 'flee.radius', label: 'Flee Radius', min: 20, max: 150, decimals: 0, info: true },
+    { name: 'maxSpeed', path: 'maxSpeed', label: 'Max Speed', min: 20.0, max: 100.0, decimals: 1, info: true, heatmap: true, cost: { points: 30, exponent: 1.5 } }, // 10x faster
+    { name: 'maxForce', path: 'maxForce', label: 'Max Force', min: 0.5, max: 5.0, decimals: 2, info: true, heatmap: true, cost: { points: 15, exponent: 1.5 } }, // 10x more force
+    { name: 'health', path: 'health', label: 'Health', min: 50, max: 200, decimals: 0, heatmap: true, cost: { points: 30, exponent: 1.5 } },
+    { name: 'damage', path: 'damage', label: 'Damage', min: 10, max: 35, decimals: 0, heatmap: true, cost: { points: 30, exponent: 1.5 } }, // Increased damage
+    { name: 'attackCooldown', path: 'attackCooldown', label: 'Attack Cooldown', min: 0.05, max: 0.4, decimals: 2, cost: { points: 20, exponent: 1.5, inverse: true } }, // Faster attacks to match speed
+    { name: 'aggressiveness', path: 'aggressiveness', label: 'Aggressiveness', min: 0.6, max: 1.0, decimals: 2, info: true, heatmap: true }, // More aggressive
+    { name: 'defensiveness', path: 'defensiveness', label: 'Defensiveness', min: 0.1, max: 0.5, decimals: 2, info: true, heatmap: true },
+    { name: 'sightRange', path: 'sightRange', label: 'Sight Range', min: 100, max: 400, decimals: 0, info: true, heatmap: true, cost: { points: 25, exponent: 1.5 } }, // Increased sight range
+    { name: 'fieldOfView', path: 'fieldOfView', label: 'Field of View (°)', min: 90, max: 360, decimals: 0, info: true, heatmap: true, cost: { points: 15, exponent: 1.2 } } // Full cone angle around the heading
+];
+
+// Every genome carries network weights, so a team can switch brains at any time
+for (let i = 0; i < NEURAL_WEIGHT_COUNT; i++) {
+    geneSchema.push({
+        name: `brainWeight${i}`,
+        path: `brain.weights.${i}`,
+        label: `Brain Weight ${i}`,
+        min: -NEURAL_WEIGHT_RANGE,
+        max: NEURAL_WEIGHT_RANGE,
+        decimals: 3,
+        brain: true,
+        mutation: { operator: 'gaussian' } // Weights must be able to cross zero
+    });
+}
+
+// Nested { min, max } view of the schema, shaped like a genome
+export const geneConstraints = {};
+for (const gene of geneSchema) {
+    setNestedProperty(geneConstraints, gene.path, { min: gene.min, max: gene.max });
+}
+
+export function createRandomGenes(random) {
+    const genes = {};
+    
+    for (const gene of geneSchema) {
+        setNestedProperty(genes, gene.path, lerp(gene.min, gene.max, random.random()));
+    }
+    
+    return genes;
+}
+
+// Pulls every gene back into its valid range, in place
+export function clampGenes(genes) {
+    for (const gene of geneSchema) {
+        setNestedProperty(genes, gene.path, clamp(getNestedProperty(genes, gene.path), gene.min, gene.max));
+    }
+    
+    return genes;
+}
+
+export function formatGene(gene, value) {
+    return gene.decimals > 0 ? value.toFixed(gene.decimals) : String(Math.floor(value));
+}
+
+export function getNestedProperty(obj, path) {
+    return path.split('.').reduce((curr, key) => curr[key], obj);
+}
+
+// Missing containers are created, as arrays when the next key is an index
+export function setNestedProperty(obj, path, value) {
+    const keys = path.split('.');
+    let parent = obj;
+    for (let i = 0; i < keys.length - 1; i++) {
+        parent = parent[keys[i]] || (parent[keys[i]] = /^\d+$/.test(keys[i + 1]) ? [] : {});
+    }
+    parent[keys[keys.length - 1]] = value;
+}
+
+export function getGeneConstraints(path) {
+    return geneSchema.find(gene => gene.path === path);
+}
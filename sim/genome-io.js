@@ -0,0 +1,120 @@
+// sim/genome-io.js - Genome and population files
+//
+// A genome file is versioned JSON holding one or more teams' genomes:
+//   { format, version, kind, generation, seed, teams: { team: { brain, genomes } } }
+// where kind is 'genome' (one boid), 'team' or 'populations' (every team).
+// Reading a file validates every genome against the gene schema
+// (geneConstraints) and rebuilds it from the schema, so nothing else in the
+// file reaches the simulation.
+
+import { geneSchema, getNestedProperty, setNestedProperty } from './genes.js';
+import { BRAIN_TYPES } from './brain.js';
+
+export const GENOME_FORMAT = 'boids-battle-genomes';
+export const GENOME_FORMAT_VERSION = 1;
+
+export const GENOME_FILE_KINDS = {
+    genome: 'Selected boid',
+    team: 'One team',
+    populations: 'All teams'
+};
+
+// How imported genomes enter the run, from the next generation
+export const IMPORT_MODES = {
+    newTeam: 'As a new team',
+    population: 'Into a team\'s population',
+    replace: 'Replace a team'
+};
+
+// `teams` is team -> { brain, genomes }
+export function createGenomeFile(kind, teams, { generation = null, seed = null } = {}) {
+    return {
+        format: GENOME_FORMAT,
+        version: GENOME_FORMAT_VERSION,
+        kind,
+        generation,
+        seed,
+        teams: Object.fromEntries(Object.entries(teams).map(([team, { brain, genomes }]) => [team, {
+            brain,
+            genomes: genomes.map(genes => JSON.parse(JSON.stringify(genes)))
+        }]))
+    };
+}
+
+// Parses and validates a genome file (JSON text or an already parsed object).
+// Returns { kind, generation, seed, teams: { team: { brain, genomes } } }; throws
+// an Error naming the first problem found.
+export function readGenomeFile(input) {
+    let file = input;
+    if (typeof input === 'string') {
+        try {
+            file = JSON.parse(input);
+        } catch (error) {
+            throw new Error(`Not a JSON file: ${error.message}`);
+        }
+    }
+    
+    if (!file || file.format !== GENOME_FORMAT) {
+        throw new Error('Not a genome file');
+    }
+    if (file.version !== GENOME_FORMAT_VERSION) {
+        throw new Error(`Unsupported genome file version: ${file.version}`);
+    }
+    if (!GENOME_FILE_KINDS[file.kind]) {
+        throw new Error(`Unknown genome file kind: ${file.kind}`);
+    }
+    
+    const entries = Object.entries(file.teams || {});
+    if (entries.length === 0) {
+        throw new Error('The file holds no teams');
+    }
+    
+    const teams = {};
+    for (const [team, { brain, genomes } = {}] of entries) {
+        if (!Array.isArray(genomes) || genomes.length === 0) {
+            throw new Error(`Team ${team} holds no genomes`);
+        }
+        teams[team] = {
+            brain: BRAIN_TYPES[brain] ? brain : null,
+            genomes: genomes.map((genome, i) => validateGenome(genome, `${team} genome ${i + 1}`))
+        };
+    }
+    
+    return { kind: file.kind, generation: file.generation ?? null, seed: file.seed ?? null, teams };
+}
+
+// Clean copy of a genome, rebuilt from the schema; throws if a gene is
+// missing, not a number or outside its range
+export function validateGenome(genome, name = 'genome') {
+    if (!genome || typeof genome !== 'object') {
+        throw new Error(`${name} is not an object`);
+    }
+    
+    const genes = {};
+    for (const gene of geneSchema) {
+        let value;
+        try {
+            value = getNestedProperty(genome, gene.path);
+        } catch (error) {
+            value = undefined;
+        }
+        
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            throw new Error(`${name}: ${gene.label} is missing or not a number`);
+        }
+        if (value < gene.min || value > gene.max) {
+            throw new Error(`${name}: ${gene.label} ${value} is outside ${gene.min}..${gene.max}`);
+        }
+        setNestedProperty(genes, gene.path, value);
+    }
+    
+    // Self-adaptive mutation steps ride along, for the genes they belong to
+    const steps = genome.mutationSteps;
+    if (steps && typeof steps === 'object') {
+        genes.mutationSteps = Object.fromEntries(geneSchema
+            .filter(gene => Number.isFinite(steps[gene.name]) && steps[gene.name] > 0)
+            .map(gene => [gene.name, steps[gene.name]]));
+    }
+    
+    return genes;
+}
@@ -0,0 +1,64 @@
+// sim/hall-of-fame.js - Bounded archive of the best genomes seen per team
+//
+// Entries outlive the boids they came from, so champions of old generations
+// can be inspected, used to reseed a wiped-out team, or reinjected later.
+
+import { HALL_OF_FAME_SIZE } from './config.js';
+
+export const WIPEOUT_POOLS = {
+    random: 'Nothing (new random team)',
+    fallen: 'Its fallen',
+    hallOfFame: 'Hall of fame'
+};
+
+export class HallOfFame {
+    constructor(capacity = HALL_OF_FAME_SIZE) {
+        this.capacity = capacity;
+        this.teams = {}; // Team -> entries, best first
+        this.version = 0; // Bumped on every change, so mirrors know when to resync
+    }
+    
+    get(team) {
+        return this.teams[team] || [];
+    }
+    
+    // Considers a finished battle's boids (fitness already calculated)
+    record(team, boids, generation) {
+        const entries = this.get(team).slice();
+        
+        for (const boid of boids) {
+            entries.push({
+                id: boid.id,
+                team,
+                generation,
+                fitness: boid.fitnessScore,
+                genes: JSON.parse(JSON.stringify(boid.genes))
+            });
+        }
+        
+        // Stable sort: on equal fitness the older entry stays ahead
+        entries.sort((a, b) => b.fitness - a.fitness);
+        this.teams[team] = entries.slice(0, this.capacity);
+        this.version++;
+    }
+    
+    // Entries shaped like boids (genes, fitnessScore) for the selection strategies
+    asBreedingPool(team) {
+        return this.get(team).map(entry => ({ id: entry.id, genes: entry.genes, fitnessScore: entry.fitness }));
+    }
+    
+    clear() {
+        this.teams = {};
+        this.version++;
+    }
+    
+    toJSON() {
+        return { capacity: this.capacity, teams: this.teams };
+    }
+    
+    load({ capacity = this.capacity, teams = {} }) {
+        this.capacity = capacity;
+        this.teams = teams;
+        this.version++;
+    }
+}
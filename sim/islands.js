@@ -0,0 +1,231 @@
+// sim/islands.js - Island model: extra sub-populations in headless arenas
+//
+// With more than one island, every team evolves as several sub-populations.
+// Island 0 is the main (visible) battle; every other island is a headless
+// Simulation fighting the same generation with the same settings, stepped in
+// time slices (run(budget)) next to the main battle. Frame-driven callers wait
+// for them before breeding (Simulation.queueNewGeneration); headless callers
+// that don't have them finished at once. Either way all islands stay in
+// lockstep and results never depend on frame timing.
+//
+// Every `migrationInterval` generations each island sends copies of its
+// `migrationSize` fittest genomes per team to the next island in a ring,
+// where they join the next generation like injected genomes.
+
+import { ISLAND_COUNT, MIGRATION_INTERVAL, MIGRATION_SIZE } from './config.js';
+import { sortByFitness } from './selection.js';
+import { Simulation } from './simulation.js';
+
+export const ISLAND_SLICE_MS = 6; // Island battle time per render frame or worker loop
+export const MAX_ISLANDS = 8;
+
+export function createIslandSettings(overrides = {}) {
+    return {
+        count: ISLAND_COUNT, // Islands per team, the main battle included
+        migrationInterval: MIGRATION_INTERVAL,
+        migrationSize: MIGRATION_SIZE,
+        ...overrides
+    };
+}
+
+// Each island draws from its own stream, derived from the run's seed
+function islandSeed(seed, index) {
+    return (seed + Math.imul(index, 0x85EBCA6B)) >>> 0;
+}
+
+// Team -> { best, mean } fitness of a finished battle
+function fitnessStats(simulation) {
+    const stats = {};
+    for (const team of simulation.teams) {
+        const members = simulation.boids.filter(b => b.team === team && !b.isPlayer);
+        const scores = members.map(b => b.fitnessScore);
+        stats[team] = {
+            best: scores.length > 0 ? Math.max(...scores) : 0,
+            mean: scores.length > 0 ? scores.reduce((a, b) => a + b, 0) / scores.length : 0
+        };
+    }
+    return stats;
+}
+
+export class Archipelago {
+    // `main` is the simulation of island 0; mirrors pass none and only load()
+    constructor(main = null, settings = {}, seed = 0) {
+        this.main = main;
+        this.settings = createIslandSettings(settings);
+        this.version = 0; // Bumped on every change, so mirrors know when to resync
+        this.clear(seed);
+    }
+    
+    // Drops every island but the main one; initialize() builds them again
+    clear(seed = this.seed) {
+        this.seed = seed;
+        this.arenas = []; // Simulations of islands 1..count-1
+        this.history = []; // { generation, migrated, islands: [team -> { best, mean }] }, one per generation
+        this.version++;
+    }
+    
+    get busy() {
+        return this.arenas.some(arena => arena.battleActive);
+    }
+    
+    // First generation: every island starts from its own random population
+    initialize() {
+        while (this.arenas.length < this.settings.count - 1) {
+            const arena = this.createArena(this.arenas.length + 1);
+            arena.initializeBoids();
+            this.arenas.push(arena);
+        }
+    }
+    
+    createArena(index) {
+        const main = this.main;
+        const arena = new Simulation({
+            seed: islandSeed(this.seed, index),
+            teamSize: 0,
+            teamCount: main.teams.length,
+            league: { enabled: false },
+            islands: { count: 1 }
+        });
+        this.sync(arena);
+        return arena;
+    }
+    
+    // Islands breed and fight by the main battle's current settings, teams added since included
+    sync(arena) {
+        const main = this.main;
+        while (arena.teams.length < main.teams.length) arena.addTeam();
+        arena.evolution = main.evolution;
+        arena.fitness = main.fitness;
+        arena.brains = main.brains;
+        arena.battleDuration = main.battleDuration;
+        arena.setAlliances(main.alliances);
+    }
+    
+    // Steps island battles round-robin, one tick at a time, for up to `budget` ms;
+    // returns true while any is still on
+    run(budget = ISLAND_SLICE_MS) {
+        const deadline = performance.now() + budget;
+        
+        while (this.busy) {
+            for (const arena of this.arenas) {
+                if (!arena.battleActive) continue;
+                arena.step();
+                if (performance.now() >= deadline) return this.busy;
+            }
+        }
+        
+        return false;
+    }
+    
+    // Called by the main simulation when its generation has ended, before it
+    // breeds: finishes any island battles still on, records their fitness,
+    // migrates and breeds every island's next generation. Island count changes
+    // apply here.
+    breed(survivors) {
+        const main = this.main;
+        for (const arena of this.arenas) {
+            while (arena.battleActive) arena.step();
+        }
+        
+        const islands = [main, ...this.arenas];
+        if (islands.length > 1) {
+            const migrated = main.generation % this.settings.migrationInterval === 0;
+            this.history.push({
+                generation: main.generation,
+                migrated,
+                islands: islands.map(fitnessStats)
+            });
+            if (migrated) this.migrate(islands);
+        }
+        
+        // Surplus islands are dropped; new ones split off the main population
+        this.arenas.length = Math.min(this.arenas.length, Math.max(0, this.settings.count - 1));
+        for (const arena of this.arenas) {
+            this.sync(arena);
+            arena.startNewGeneration();
+        }
+        while (this.arenas.length < this.settings.count - 1) {
+            this.arenas.push(this.splitOff(this.arenas.length + 1, survivors));
+        }
+        
+        this.version++;
+    }
+    
+    // Ring migration: island i sends its fittest genomes of each team to island i + 1
+    migrate(islands) {
+        const size = this.settings.migrationSize;
+        
+        islands.forEach((island, i) => {
+            const destination = islands[(i + 1) % islands.length];
+            for (const team of island.teams) {
+                const members = island.boids.filter(b => b.team === team && !b.isPlayer);
+                for (const migrant of sortByFitness(members).slice(0, size)) {
+                    destination.injectGenome(team, JSON.parse(JSON.stringify(migrant.genes)), 'migrant');
+                }
+            }
+        });
+    }
+    
+    // A new island's first generation is bred from the main island's last battle
+    splitOff(index, survivors) {
+        const main = this.main;
+        const arena = this.createArena(index);
+        arena.generation = main.generation + 1;
+        
+        for (const team of arena.teams) {
+            const population = main.boids.filter(b => b.team === team && !b.isPlayer);
+            arena.createNewTeam(team, survivors[team] || [], population);
+        }
+        arena.captureCheckpoint();
+        
+        return arena;
+    }
+    
+    // The islands as they are now, for the main simulation's checkpoint; each
+    // arena keeps its own (see Simulation.captureCheckpoint)
+    checkpoint() {
+        return {
+            settings: { ...this.settings },
+            seed: this.seed,
+            history: this.history.length,
+            arenas: this.arenas.map(arena => ({ arena, checkpoint: arena.checkpoint }))
+        };
+    }
+    
+    // Every island as of the start of its generation, for saved runs: as of a
+    // checkpoint() or now
+    save({ settings, seed, history, arenas } = this.checkpoint()) {
+        return {
+            settings: { ...settings },
+            seed,
+            history: JSON.parse(JSON.stringify(this.history.slice(0, history))),
+            arenas: arenas.map(({ arena, checkpoint }) => arena.saveCheckpoint(checkpoint))
+        };
+    }
+    
+    restore({ settings, seed, history, arenas }) {
+        this.settings = createIslandSettings(settings);
+        this.seed = seed;
+        this.history = history;
+        this.arenas = arenas.map((checkpoint, i) => {
+            const arena = this.createArena(i + 1);
+            arena.restore(checkpoint);
+            return arena;
+        });
+        this.version++;
+    }
+    
+    // Settings and fitness history, for mirrors and the charts
+    toJSON() {
+        return {
+            settings: this.settings,
+            history: this.history
+        };
+    }
+    
+    load({ settings, history = [] }) {
+        this.settings = createIslandSettings(settings);
+        this.history = history;
+        this.version++;
+    }
+}
@@ -0,0 +1,236 @@
+// sim/league.js - League play: Elo ratings for snapshots of past generations
+//
+// Red vs blue only says which side is ahead right now, since both co-evolve.
+// In league mode every finished generation leaves a snapshot of each team
+// (a squad of its genomes), and each new snapshot plays matches against
+// random older ones in separate headless arenas. All snapshots share one
+// Elo pool, so ratings over generations show absolute progress.
+//
+// Matches run in time slices (run(budget)) next to the main battle and never
+// touch the main simulation's random stream.
+
+import {
+    TEAMS, LEAGUE_ENABLED, LEAGUE_MATCHES, LEAGUE_SQUAD_SIZE, LEAGUE_BATTLE_DURATION,
+    LEAGUE_CAPACITY, LEAGUE_INITIAL_RATING, LEAGUE_K_FACTOR
+} from './config.js';
+import { Random } from './random.js';
+import { Simulation } from './simulation.js';
+
+export const LEAGUE_SLICE_MS = 4; // Match time per render frame or worker loop
+
+export function createLeagueSettings(overrides = {}) {
+    return {
+        enabled: LEAGUE_ENABLED,
+        matchesPerGeneration: LEAGUE_MATCHES, // Per team snapshot
+        squadSize: LEAGUE_SQUAD_SIZE,
+        battleDuration: LEAGUE_BATTLE_DURATION,
+        ...overrides
+    };
+}
+
+// Chance that a side rated `rating` beats one rated `opponent`
+export function expectedScore(rating, opponent) {
+    return 1 / (1 + Math.pow(10, (opponent - rating) / 400));
+}
+
+export class League {
+    constructor(settings = {}, seed = 0) {
+        this.settings = createLeagueSettings(settings);
+        this.random = new Random(seed);
+        this.version = 0; // Bumped on every change, so mirrors know when to resync
+        this.clear(seed);
+    }
+    
+    // Forgets every snapshot and rating; `seed` reseeds opponent draws
+    clear(seed = this.random.seed) {
+        this.random.setSeed(seed);
+        this.snapshots = []; // { id, team, generation, brain, rating, wins, draws, losses, squad }
+        this.pending = []; // Matches waiting for an arena: { home, away, seed }
+        this.match = null; // { home, away, seed, arena } in progress
+        this.queued = 0; // Matches not yet finished
+        this.played = 0;
+        this.version++;
+    }
+    
+    get busy() {
+        return this.match !== null || this.pending.length > 0;
+    }
+    
+    // Snapshots a team's finished generation and schedules its matches.
+    // A new snapshot starts from its team's latest rating.
+    record(team, generation, boids, brain) {
+        if (!this.settings.enabled || boids.length === 0) return;
+        
+        const previous = this.latest(team);
+        const snapshot = {
+            id: `${team}-${generation}`,
+            team,
+            generation,
+            brain,
+            rating: previous ? previous.rating : LEAGUE_INITIAL_RATING,
+            wins: 0,
+            draws: 0,
+            losses: 0,
+            squad: this.pickSquad(boids)
+        };
+        
+        const opponents = this.snapshots.filter(s => s.squad);
+        this.snapshots.push(snapshot);
+        
+        for (let i = 0; i < this.settings.matchesPerGeneration && opponents.length > 0; i++) {
+            const opponent = opponents[this.random.randInt(0, opponents.length - 1)];
+            
+            // Alternate spawn sides so neither snapshot keeps the same one
+            const home = i % 2 === 0 ? snapshot : opponent;
+            this.pending.push({ home, away: home === snapshot ? opponent : snapshot, seed: this.random.randInt(0, 0xFFFFFFFF) });
+            this.queued++;
+        }
+        
+        // Old snapshots keep their rating but stop playing
+        const playable = this.snapshots.filter(s => s.squad);
+        for (const stale of playable.slice(0, Math.max(0, playable.length - LEAGUE_CAPACITY))) {
+            if (!this.pending.some(m => m.home === stale || m.away === stale)) stale.squad = null;
+        }
+        
+        this.version++;
+    }
+    
+    latest(team) {
+        for (let i = this.snapshots.length - 1; i >= 0; i--) {
+            if (this.snapshots[i].team === team) return this.snapshots[i];
+        }
+        return null;
+    }
+    
+    // Random sample of the team's genomes, so large teams stay cheap to replay
+    pickSquad(boids) {
+        const genomes = boids.map(b => b.genes);
+        for (let i = genomes.length - 1; i > 0; i--) {
+            const j = this.random.randInt(0, i);
+            [genomes[i], genomes[j]] = [genomes[j], genomes[i]];
+        }
+        return JSON.parse(JSON.stringify(genomes.slice(0, this.settings.squadSize)));
+    }
+    
+    // Plays pending matches for up to `budget` ms; returns true while work remains
+    run(budget = LEAGUE_SLICE_MS) {
+        const deadline = performance.now() + budget;
+        
+        while (this.busy && performance.now() < deadline) {
+            if (!this.match) {
+                this.match = this.startMatch(this.pending.shift());
+            }
+            
+            const { arena } = this.match;
+            arena.step();
+            if (!arena.battleActive) {
+                this.finishMatch(this.match);
+                this.match = null;
+                this.queued--;
+            }
+        }
+        
+        return this.busy;
+    }
+    
+    // The home snapshot fights on the red side, the away snapshot on the blue side
+    startMatch({ home, away, seed }) {
+        const arena = new Simulation({
+            seed,
+            teamSize: 0,
+            teamCount: 2,
+            alliances: [],
+            battleDuration: this.settings.battleDuration,
+            brains: { [TEAMS.RED]: home.brain, [TEAMS.BLUE]: away.brain },
+            league: { enabled: false },
+            islands: { count: 1 }
+        });
+        
+        for (const genes of home.squad) arena.spawnBoid(TEAMS.RED, JSON.parse(JSON.stringify(genes)));
+        for (const genes of away.squad) arena.spawnBoid(TEAMS.BLUE, JSON.parse(JSON.stringify(genes)));
+        
+        return { home, away, seed, arena };
+    }
+    
+    // Same winner rule as the main battle: more survivors wins
+    finishMatch({ home, away, arena }) {
+        const { winners } = arena.lastBattle.result;
+        const score = winners.includes(TEAMS.RED) ? 1 : winners.includes(TEAMS.BLUE) ? 0 : 0.5;
+        
+        const expected = expectedScore(home.rating, away.rating);
+        const change = LEAGUE_K_FACTOR * (score - expected);
+        home.rating += change;
+        away.rating -= change;
+        
+        if (score === 1) {
+            home.wins++;
+            away.losses++;
+        } else if (score === 0) {
+            home.losses++;
+            away.wins++;
+        } else {
+            home.draws++;
+            away.draws++;
+        }
+        
+        this.played++;
+        this.version++;
+    }
+    
+    // Ratings without the genomes, for mirrors and the chart
+    toJSON() {
+        return {
+            settings: this.settings,
+            played: this.played,
+            queued: this.queued,
+            snapshots: this.snapshots.map(({ squad, ...snapshot }) => ({ ...snapshot, playable: squad !== null }))
+        };
+    }
+    
+    // The league as it is now, for a checkpoint. Snapshots that stopped playing
+    // and have no match left never change again, so only the others are copied
+    // (see save). A match in progress goes back to the front of the queue.
+    checkpoint() {
+        const pending = this.match ? [this.match, ...this.pending] : this.pending;
+        const scheduled = new Set(pending.flatMap(({ home, away }) => [home, away]));
+        return {
+            settings: { ...this.settings },
+            random: this.random.getState(),
+            count: this.snapshots.length,
+            active: this.snapshots.filter(s => s.squad || scheduled.has(s)).map(s => ({ ...s })),
+            pending: pending.map(({ home, away, seed }) => ({ home: home.id, away: away.id, seed })),
+            queued: this.queued,
+            played: this.played
+        };
+    }
+    
+    // Complete state, squads and queued matches included, for saved runs: as
+    // of a checkpoint() or now
+    save({ count, active, ...state } = this.checkpoint()) {
+        const copies = new Map(active.map(snapshot => [snapshot.id, snapshot]));
+        return JSON.parse(JSON.stringify({
+            ...state,
+            snapshots: this.snapshots.slice(0, count).map(snapshot => copies.get(snapshot.id) || snapshot)
+        }));
+    }
+    
+    restore({ settings, random, snapshots, pending, queued, played }) {
+        this.settings = createLeagueSettings(settings);
+        this.random.setState(random);
+        this.snapshots = snapshots;
+        const byId = new Map(snapshots.map(snapshot => [snapshot.id, snapshot]));
+        this.pending = pending.map(({ home, away, seed }) => ({ home: byId.get(home), away: byId.get(away), seed }));
+        this.match = null;
+        this.queued = queued;
+        this.played = played;
+        this.version++;
+    }
+    
+    load({ settings, played = 0, queued = 0, snapshots = [] }) {
+        this.settings = createLeagueSettings(settings);
+        this.played = played;
+        this.queued = queued;
+        this.snapshots = snapshots;
+        this.version++;
+    }
+}
@@ -0,0 +1,127 @@
+// sim/lineage.js - Who descends from whom, across generations
+//
+// Every boid born into the simulation gets a node: its id, team, birth
+// generation, parent ids and how it came about (origin). Nodes also keep the
+// boid's non-brain genes and, once its battle ended, its fitness, so ancestors
+// can be inspected long after the boids are gone.
+//
+// After every generation the graph is pruned to the ancestors of the living
+// population (and of the hall of fame) born in the last LINEAGE_GENERATIONS
+// generations, so it only grows as far back as the surviving family lines reach.
+
+import { LINEAGE_GENERATIONS } from './config.js';
+import { geneSchema, getNestedProperty } from './genes.js';
+
+export const LINEAGE_ORIGINS = {
+    random: 'Random founder',
+    offspring: 'Bred',
+    elite: 'Elite (copied)',
+    champion: 'Hall of fame champion',
+    injected: 'Injected',
+    imported: 'Imported from a file',
+    migrant: 'Migrant from another island'
+};
+
+// Genes kept per node, in this order
+export const lineageGenes = geneSchema.filter(gene => !gene.brain);
+
+export class Lineage {
+    constructor() {
+        this.nodes = new Map(); // Id -> { id, team, generation, parents, origin, traits, fitness, survived }
+        this.version = 0; // Bumped on every change, so mirrors know when to resync
+    }
+    
+    get(id) {
+        return this.nodes.get(id) || null;
+    }
+    
+    // Registers a newborn boid (see Boid.parents, Boid.origin)
+    add(boid) {
+        this.nodes.set(boid.id, {
+            id: boid.id,
+            team: boid.team,
+            generation: boid.birthGeneration,
+            parents: boid.parents,
+            origin: boid.origin,
+            traits: lineageGenes.map(gene => getNestedProperty(boid.genes, gene.path)),
+            fitness: null, // Set when its battle ends
+            survived: null
+        });
+        this.version++;
+    }
+    
+    // Records a finished battle's fitness (already calculated) for its boids
+    score(boids) {
+        for (const boid of boids) {
+            const node = this.nodes.get(boid.id);
+            if (node) {
+                node.fitness = boid.fitnessScore;
+                node.survived = !boid.isDead;
+            }
+        }
+        this.version++;
+    }
+    
+    // Drops every node that is not one of `ids` or an ancestor of one, and
+    // every node born too long before `generation`
+    prune(ids, generation) {
+        const oldest = generation - LINEAGE_GENERATIONS;
+        const keep = new Set();
+        const stack = [...ids];
+        while (stack.length > 0) {
+            const id = stack.pop();
+            const node = this.nodes.get(id);
+            if (!node || keep.has(id) || node.generation < oldest) continue;
+            keep.add(id);
+            stack.push(...node.parents);
+        }
+        
+        for (const id of this.nodes.keys()) {
+            if (!keep.has(id)) this.nodes.delete(id);
+        }
+        this.version++;
+    }
+    
+    // Ancestors of a boid up to `depth` parent steps, the boid included, each once:
+    // [{ node, depth }]. Parents missing from the graph are skipped.
+    ancestors(id, depth) {
+        const found = new Map();
+        let frontier = [id];
+        for (let d = 0; d <= depth && frontier.length > 0; d++) {
+            const next = [];
+            for (const current of frontier) {
+                const node = this.nodes.get(current);
+                if (!node || found.has(current)) continue;
+                found.set(current, { node, depth: d });
+                next.push(...node.parents);
+            }
+            frontier = next;
+        }
+        return [...found.values()];
+    }
+    
+    clear() {
+        this.nodes = new Map();
+        this.version++;
+    }
+    
+    toJSON() {
+        return { nodes: [...this.nodes.values()] };
+    }
+    
+    // The graph as it is now, for a checkpoint: scored nodes never change
+    // again and are shared, unscored ones are copied (see save)
+    checkpoint() {
+        return [...this.nodes.values()].map(node => node.fitness === null ? { ...node } : node);
+    }
+    
+    // Plain data for saved runs, as of a checkpoint() or now
+    save(checkpoint = this.checkpoint()) {
+        return JSON.parse(JSON.stringify({ nodes: checkpoint }));
+    }
+    
+    load({ nodes = [] }) {
+        this.nodes = new Map(nodes.map(node => [node.id, node]));
+        this.version++;
+    }
+}
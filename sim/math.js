@@ -0,0 +1,116 @@
+// sim/math.js - Minimal vector math for the simulation core
+//
+// Mirrors the subset of THREE.Vector3 / THREE.MathUtils the boid logic uses,
+// so the core runs in Node or a worker without pulling in THREE.
+
+export class Vector3 {
+    constructor(x = 0, y = 0, z = 0) {
+        this.x = x;
+        this.y = y;
+        this.z = z;
+    }
+    
+    set(x, y, z) {
+        this.x = x;
+        this.y = y;
+        this.z = z;
+        return this;
+    }
+    
+    copy(v) {
+        this.x = v.x;
+        this.y = v.y;
+        this.z = v.z;
+        return this;
+    }
+    
+    clone() {
+        return new Vector3(this.x, this.y, this.z);
+    }
+    
+    add(v) {
+        this.x += v.x;
+        this.y += v.y;
+        this.z += v.z;
+        return this;
+    }
+    
+    addScaledVector(v, s) {
+        this.x += v.x * s;
+        this.y += v.y * s;
+        this.z += v.z * s;
+        return this;
+    }
+    
+    sub(v) {
+        this.x -= v.x;
+        this.y -= v.y;
+        this.z -= v.z;
+        return this;
+    }
+    
+    subVectors(a, b) {
+        this.x = a.x - b.x;
+        this.y = a.y - b.y;
+        this.z = a.z - b.z;
+        return this;
+    }
+    
+    multiplyScalar(s) {
+        this.x *= s;
+        this.y *= s;
+        this.z *= s;
+        return this;
+    }
+    
+    divideScalar(s) {
+        return this.multiplyScalar(1 / s);
+    }
+    
+    dot(v) {
+        return this.x * v.x + this.y * v.y + this.z * v.z;
+    }
+    
+    lengthSq() {
+        return this.x * this.x + this.y * this.y + this.z * this.z;
+    }
+    
+    length() {
+        return Math.sqrt(this.lengthSq());
+    }
+    
+    normalize() {
+        return this.divideScalar(this.length() || 1);
+    }
+    
+    clampLength(min, max) {
+        const length = this.length();
+        return this.divideScalar(length || 1).multiplyScalar(Math.max(min, Math.min(max, length)));
+    }
+    
+    distanceToSquared(v) {
+        const dx = this.x - v.x;
+        const dy = this.y - v.y;
+        const dz = this.z - v.z;
+        return dx * dx + dy * dy + dz * dz;
+    }
+    
+    distanceTo(v) {
+        return Math.sqrt(this.distanceToSquared(v));
+    }
+    
+    lerpVectors(a, b, t) {
+        this.x = a.x + (b.x - a.x) * t;
+        this.y = a.y + (b.y - a.y) * t;
+        this.z = a.z + (b.z - a.z) * t;
+        return this;
+    }
+}
+
+export function lerp(a, b, t) {
+    return (1 - t) * a + t * b;
+}
+
+export function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
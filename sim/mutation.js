@@ -0,0 +1,101 @@
+// sim/mutation.js - Mutation operators and mutation-rate annealing
+//
+// Operators walk the genes a team uses (geneSchema, or activeGenes(brain) from
+// diversity.js) like crossover does. A gene's schema entry may override the
+// rate, amount or sigma, and name an additive operator to use instead of
+// multiplicative, which can never flip a value's sign. Annealing scales every
+// rate alike.
+
+import { geneSchema, getNestedProperty, setNestedProperty } from './genes.js';
+import { clamp } from './math.js';
+
+export const MIN_MUTATION_STEP = 0.001; // Self-adaptive step bounds, as shares of the range
+export const MAX_MUTATION_STEP = 0.5;
+
+// step(value, gene, settings, genome, random) -> new value (clamped by the caller)
+export const MUTATION_OPERATORS = {
+    // value × (1 ± amount); small values barely move
+    multiplicative(value, gene, { amount }, genome, random) {
+        const change = (random.random() * 2 - 1) * amount;
+        return value * (1 + change);
+    },
+    
+    // value + N(0, sigma × range), the same reach anywhere in the range
+    gaussian(value, gene, { sigma }, genome, random) {
+        return value + random.gaussian(0, sigma * (gene.max - gene.min));
+    },
+    
+    // Like gaussian, but each genome carries and evolves its own per-gene sigma
+    // (updated for every gene by adaptStep before the rate check)
+    selfAdaptive(value, gene, { sigma }, genome, random) {
+        const step = genome.mutationSteps[gene.name] ?? sigma;
+        return value + random.gaussian(0, step * (gene.max - gene.min));
+    }
+};
+
+// Log-normal update of a genome's step size for one gene; `learningRate` is
+// tau, 1 / sqrt(genes evolved)
+function adaptStep(genome, gene, sigma, learningRate, random) {
+    const steps = genome.mutationSteps || (genome.mutationSteps = {});
+    steps[gene.name] = clamp(
+        (steps[gene.name] ?? sigma) * Math.exp(learningRate * random.gaussian()),
+        MIN_MUTATION_STEP,
+        MAX_MUTATION_STEP
+    );
+}
+
+export const MUTATION_LABELS = {
+    multiplicative: 'Multiplicative (±amount)',
+    gaussian: 'Gaussian (range-relative σ)',
+    selfAdaptive: 'Self-adaptive σ per gene'
+};
+
+export const MUTATION_SCHEDULES = {
+    constant: 'Constant',
+    linear: 'Linear annealing',
+    exponential: 'Exponential annealing'
+};
+
+// Mutation rate for a generation under the evolution settings' schedule
+export function mutationRateFor(evolution, generation) {
+    const { mutationRate, minMutationRate, mutationSchedule, annealingGenerations } = evolution;
+    const progress = Math.min(1, (generation - 1) / Math.max(1, annealingGenerations));
+    const floor = Math.min(minMutationRate, mutationRate);
+    
+    switch (mutationSchedule) {
+        case 'linear':
+            return mutationRate - (mutationRate - floor) * progress;
+        case 'exponential':
+            return floor > 0 ? mutationRate * Math.pow(floor / mutationRate, progress) : mutationRate * (1 - progress);
+        default:
+            return mutationRate;
+    }
+}
+
+// Returns a mutated copy. `options` is { operator, rate, amount, sigma, rateScale, schema },
+// where rateScale (annealing) applies to schema overrides of the rate as well and
+// `schema` lists the genes to mutate; the others are copied unchanged.
+export function mutateGenes(genes, random, { operator, rate, amount, sigma, rateScale = 1, schema = geneSchema }) {
+    if (!MUTATION_OPERATORS[operator]) {
+        throw new Error(`Unknown mutation operator: ${operator}`);
+    }
+    
+    const mutated = JSON.parse(JSON.stringify(genes)); // Deep clone
+    const learningRate = 1 / Math.sqrt(schema.length);
+    
+    for (const gene of schema) {
+        const overrides = gene.mutation || {};
+        const settings = { amount: overrides.amount ?? amount, sigma: overrides.sigma ?? sigma };
+        const step = MUTATION_OPERATORS[operator === 'multiplicative' && overrides.operator || operator];
+        
+        // Step sizes evolve whether or not the gene itself mutates this time
+        if (operator === 'selfAdaptive') adaptStep(mutated, gene, settings.sigma, learningRate, random);
+        
+        if (random.random() < (overrides.rate ?? rate) * rateScale) {
+            const value = step(getNestedProperty(mutated, gene.path), gene, settings, mutated, random);
+            setNestedProperty(mutated, gene.path, clamp(value, gene.min, gene.max));
+        }
+    }
+    
+    return mutated;
+}
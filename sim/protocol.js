@@ -0,0 +1,87 @@
+// sim/protocol.js - Message format between the simulation worker and the render thread
+//
+// Static per-boid data (team, genes, ...) goes out once per population change.
+// Everything that moves goes out every tick batch as one flat Float32Array,
+// FRAME_STRIDE floats per boid in population order, transferred rather than copied.
+//
+// Worker -> render thread:
+//   { type: 'population', boids: [{ id, team, isPlayer, genes, birthGeneration, parents, origin, maxHealth, damage, attackCooldown }] }
+//   { type: 'frame', state, buffer, events }
+//   { type: 'hallOfFame', hallOfFame } (HallOfFame.toJSON(), whenever it changed)
+//   { type: 'league', league } (League.toJSON(), whenever it changed)
+//   { type: 'islands', islands } (Archipelago.toJSON(), whenever it changed)
+//   { type: 'lineage', lineage } (Lineage.toJSON(), whenever it changed)
+//   { type: 'progress', progress }, { type: 'trainingEnd', progress } (see training.js)
+//   { type: 'save', save } (answers a save request, see save.js)
+// Render thread -> worker:
+//   { type: 'init', options }
+//   { type: 'player', position: [x, y, z] }
+//   { type: 'command', name, args }
+//   { type: 'save' }
+
+export const FRAME_STRIDE = 14;
+
+export const FRAME_FIELDS = {
+    X: 0, Y: 1, Z: 2,
+    PREV_X: 3, PREV_Y: 4, PREV_Z: 5,
+    VX: 6, VY: 7, VZ: 8,
+    HEALTH: 9,
+    DEAD: 10,
+    KILLS: 11,
+    DAMAGE_DEALT: 12,
+    DAMAGE_TAKEN: 13
+};
+
+export function describePopulation(boids) {
+    return boids.map(boid => ({
+        id: boid.id,
+        team: boid.team,
+        isPlayer: boid.isPlayer,
+        genes: boid.genes,
+        birthGeneration: boid.birthGeneration,
+        parents: boid.parents,
+        origin: boid.origin,
+        maxHealth: boid.maxHealth,
+        damage: boid.damage,
+        attackCooldown: boid.attackCooldown
+    }));
+}
+
+export function encodeFrame(boids) {
+    const F = FRAME_FIELDS;
+    const buffer = new Float32Array(boids.length * FRAME_STRIDE);
+    
+    boids.forEach((boid, i) => {
+        const o = i * FRAME_STRIDE;
+        buffer[o + F.X] = boid.position.x;
+        buffer[o + F.Y] = boid.position.y;
+        buffer[o + F.Z] = boid.position.z;
+        buffer[o + F.PREV_X] = boid.previousPosition.x;
+        buffer[o + F.PREV_Y] = boid.previousPosition.y;
+        buffer[o + F.PREV_Z] = boid.previousPosition.z;
+        buffer[o + F.VX] = boid.velocity.x;
+        buffer[o + F.VY] = boid.velocity.y;
+        buffer[o + F.VZ] = boid.velocity.z;
+        buffer[o + F.HEALTH] = boid.health;
+        buffer[o + F.DEAD] = boid.isDead ? 1 : 0;
+        buffer[o + F.KILLS] = boid.kills;
+        buffer[o + F.DAMAGE_DEALT] = boid.damageDealt;
+        buffer[o + F.DAMAGE_TAKEN] = boid.damageTaken;
+    });
+    
+    return buffer;
+}
+
+// Applies one boid's slice of a frame buffer onto a mirror boid
+export function decodeBoid(buffer, index, boid) {
+    const F = FRAME_FIELDS;
+    const o = index * FRAME_STRIDE;
+    boid.position.set(buffer[o + F.X], buffer[o + F.Y], buffer[o + F.Z]);
+    boid.previousPosition.set(buffer[o + F.PREV_X], buffer[o + F.PREV_Y], buffer[o + F.PREV_Z]);
+    boid.velocity.set(buffer[o + F.VX], buffer[o + F.VY], buffer[o + F.VZ]);
+    boid.health = buffer[o + F.HEALTH];
+    boid.isDead = buffer[o + F.DEAD] === 1;
+    boid.kills = buffer[o + F.KILLS];
+    boid.damageDealt = buffer[o + F.DAMAGE_DEALT];
+    boid.damageTaken = buffer[o + F.DAMAGE_TAKEN];
+}
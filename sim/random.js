@@ -0,0 +1,55 @@
+// sim/random.js - Seedable pseudo-random number generator
+//
+// Every simulation path draws from a Random instance owned by the Simulation,
+// so a battle can be replayed exactly from its seed. Uses mulberry32: one
+// 32-bit word of state, which keeps snapshots trivial.
+
+export class Random {
+    constructor(seed = randomSeed()) {
+        this.setSeed(seed);
+    }
+    
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+    
+    // Uniform float in [0, 1), drop-in for Math.random()
+    random() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+    
+    randFloat(min, max) {
+        return min + this.random() * (max - min);
+    }
+    
+    // Integer in [min, max]
+    randInt(min, max) {
+        return min + Math.floor(this.random() * (max - min + 1));
+    }
+    
+    // Normal distribution via Box-Muller; no cached spare, so state stays one word
+    gaussian(mean = 0, sd = 1) {
+        const u = 1 - this.random(); // (0, 1], keeps log() finite
+        const v = this.random();
+        return mean + sd * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+    
+    getState() {
+        return { seed: this.seed, state: this.state };
+    }
+    
+    setState({ seed, state }) {
+        this.seed = seed >>> 0;
+        this.state = state >>> 0;
+    }
+}
+
+// Fresh seed for runs that don't specify one
+export function randomSeed() {
+    return Math.floor(Math.random() * 4294967296);
+}
@@ -0,0 +1,391 @@
+// sim/runner.js - Drives a simulation either on this thread or in a worker
+//
+// Both runners expose the same surface to the render adapter:
+//   simulation            - the Simulation, or a read-only mirror of the worker's
+//   on(event, listener)   - simulation events (see simulation.js)
+//   start()               - spawns the first generation
+//   advance(realDelta)    - runs due ticks, returns the interpolation alpha
+//   setPlayerPosition(v)  - the camera-driven player position for the next ticks
+//   command(name, ...args) - debug controls, see commands.js, plus
+//                           'train' (generations) and 'stopTraining'
+//   dispose()
+//
+// On top of the simulation events, runners emit trainingProgress(progress)
+// and trainingEnd(progress) around turbo training (see training.js). While
+// training, boids leave the adapter's view and per-boid events stop; the
+// evolved population is added back once training ends.
+
+import { Vector3 } from './math.js';
+import { TEAM_SIZES, TEAM_COUNT, ALLIANCES } from './config.js';
+import { Simulation, createTeamEvolution } from './simulation.js';
+import { SimulationClock, TICK_RATE } from './clock.js';
+import { EventEmitter } from './emitter.js';
+import { runCommand } from './commands.js';
+import { decodeBoid } from './protocol.js';
+import { TrainingSession } from './training.js';
+import { HallOfFame } from './hall-of-fame.js';
+import { League } from './league.js';
+import { Archipelago } from './islands.js';
+import { Lineage } from './lineage.js';
+import { createSave } from './save.js';
+import { teamIds, normalizeAlliances, spawnFrame } from './teams.js';
+import { createBrainSettings } from './brain.js';
+
+const SIMULATION_EVENTS = ['boidAdded', 'boidRemoved', 'attack', 'damage', 'death', 'battleEnd', 'generationStart'];
+
+export class LocalRunner extends EventEmitter {
+    // `restore` is a checkpoint to resume from (see save.js) instead of a fresh run
+    constructor({ withPlayer = false, restore = null, ...options } = {}) {
+        super();
+        this.simulation = new Simulation(options);
+        this.restore = restore;
+        this.clock = new SimulationClock({ tickRate: 1 / this.simulation.tickDuration });
+        this.withPlayer = withPlayer;
+        this.playerPosition = new Vector3();
+        this.hasPlayerPosition = false;
+        this.training = null;
+        
+        // Forward simulation events, except while training
+        for (const event of SIMULATION_EVENTS) {
+            this.simulation.on(event, (...args) => {
+                if (!this.training) this.emit(event, ...args);
+            });
+        }
+    }
+    
+    start() {
+        if (this.restore) {
+            this.simulation.restore(this.restore, { withPlayer: this.withPlayer });
+        } else {
+            this.simulation.initializeBoids({ withPlayer: this.withPlayer });
+        }
+    }
+    
+    // Resolves with a save of the run, see save.js
+    requestSave() {
+        return new Promise(resolve => resolve(createSave(this.simulation)));
+    }
+    
+    advance(realDelta) {
+        if (this.training) {
+            this.train();
+            return 1;
+        }
+        
+        const simulation = this.simulation;
+        const ticks = this.clock.advance(realDelta);
+        
+        for (let i = 0; i < ticks; i++) {
+            const player = simulation.playerBoid;
+            if (player && this.hasPlayerPosition && simulation.playerControlled) {
+                player.position.copy(this.playerPosition);
+                player.previousPosition.copy(this.playerPosition);
+            }
+            
+            simulation.step();
+        }
+        
+        // League matches share the frame with the battle, and pause with it
+        if (ticks > 0 && simulation.league.busy) {
+            simulation.league.run();
+        }
+        if (ticks > 0 && simulation.islands.busy) {
+            simulation.islands.run();
+        }
+        if (ticks > 0) simulation.startQueuedGeneration();
+        
+        return this.clock.alpha;
+    }
+    
+    // One slice of turbo training per render frame
+    train() {
+        const done = this.training.run();
+        const progress = this.training.progress;
+        this.emit('trainingProgress', progress);
+        
+        if (done) {
+            this.training = null;
+            this.clock.reset();
+            
+            for (const boid of this.simulation.boids) {
+                this.emit('boidAdded', boid);
+            }
+            this.emit('trainingEnd', progress);
+        }
+    }
+    
+    setPlayerPosition(position) {
+        this.playerPosition.copy(position);
+        this.hasPlayerPosition = true;
+    }
+    
+    command(name, ...args) {
+        switch (name) {
+            case 'train':
+                if (this.training) return;
+                for (const boid of this.simulation.boids) {
+                    this.emit('boidRemoved', boid);
+                }
+                this.training = new TrainingSession(this.simulation, args[0]);
+                break;
+            case 'stopTraining':
+                if (this.training) this.training.stop();
+                break;
+            default:
+                runCommand(this.simulation, this.clock, name, args);
+        }
+    }
+    
+    dispose() {
+        if (!this.training) {
+            for (const boid of this.simulation.boids) {
+                this.emit('boidRemoved', boid);
+            }
+        }
+        this.simulation.boids = [];
+    }
+}
+
+// Render-thread copy of the worker's simulation, with the fields the
+// adapter reads. Boids are plain objects kept in sync by id.
+class SimulationMirror extends EventEmitter {
+    constructor({
+        seed = 0,
+        tickRate = TICK_RATE,
+        teamSize = TEAM_SIZES,
+        teamCount = TEAM_COUNT,
+        alliances = ALLIANCES,
+        evolution = {},
+        teamEvolution = {},
+        brains = {}
+    }) {
+        super();
+        this.boids = [];
+        this.boidsById = new Map();
+        this.playerBoid = null;
+        this.playerInvisible = false;
+        this.playerControlled = false;
+        this.tick = 0;
+        this.generation = 1;
+        this.battleTicks = 0;
+        this.battleActive = true;
+        this.tickDuration = 1 / tickRate;
+        this.seed = seed;
+        this.teamSize = teamSize;
+        this.teams = teamIds(teamCount);
+        this.alliances = normalizeAlliances(alliances, this.teams);
+        this.evolution = createTeamEvolution(this.teams, { teamSize, ...evolution }, teamEvolution); // Team -> settings, as the worker last reported
+        this.brains = createBrainSettings(brains); // Team -> brain type, as the worker last reported
+        this.hallOfFame = new HallOfFame();
+        this.league = new League();
+        this.islands = new Archipelago();
+        this.lineage = new Lineage();
+    }
+    
+    get battleTimer() {
+        return this.battleTicks * this.tickDuration;
+    }
+    
+    countAlive(team) {
+        return this.boids.filter(b => b.team === team && !b.isDead && !b.isPlayer).length;
+    }
+    
+    // `teams` comes along, since a population can bring a team the last frame did not have
+    applyPopulation(descriptions, teams = this.teams) {
+        this.teams = teams;
+        const previous = this.boidsById;
+        this.boidsById = new Map();
+        this.boids = descriptions.map(description => {
+            const boid = previous.get(description.id) || createMirrorBoid(description, teams);
+            this.boidsById.set(boid.id, boid);
+            return boid;
+        });
+        
+        for (const boid of previous.values()) {
+            if (!this.boidsById.has(boid.id)) this.emit('boidRemoved', boid);
+        }
+        
+        this.playerBoid = this.boids.find(b => b.isPlayer) || null;
+        
+        for (const boid of this.boids) {
+            if (!previous.has(boid.id)) this.emit('boidAdded', boid);
+        }
+    }
+    
+    applyFrame(state, buffer, events) {
+        Object.assign(this, {
+            tick: state.tick,
+            generation: state.generation,
+            battleTicks: state.battleTicks,
+            battleActive: state.battleActive,
+            tickDuration: state.tickDuration,
+            seed: state.seed,
+            teamSize: state.teamSize,
+            teams: state.teams,
+            evolution: state.evolution,
+            brains: state.brains
+        });
+        
+        this.boids.forEach((boid, i) => decodeBoid(buffer, i, boid));
+        
+        // Replay what happened since the last frame, now that positions match
+        for (const [type, ...args] of events) {
+            switch (type) {
+                case 'attack': {
+                    const attacker = this.boidsById.get(args[0]);
+                    const target = this.boidsById.get(args[1]);
+                    if (attacker && target) this.emit('attack', attacker, target);
+                    break;
+                }
+                case 'damage':
+                case 'death': {
+                    const boid = this.boidsById.get(args[0]);
+                    if (boid) this.emit(type, boid);
+                    break;
+                }
+                case 'battleEnd':
+                    this.emit('battleEnd', { result: args[0] });
+                    break;
+                case 'generationStart':
+                    this.emit('generationStart', args[0]);
+                    break;
+            }
+        }
+    }
+    
+    removeAll() {
+        for (const boid of this.boids) {
+            this.emit('boidRemoved', boid);
+        }
+        this.boids = [];
+        this.boidsById = new Map();
+        this.playerBoid = null;
+    }
+}
+
+// Until the first frame arrives, a boid faces inward from its team's spawn region like a real one
+function createMirrorBoid({ id, team, isPlayer, genes, birthGeneration, parents, origin, maxHealth, damage, attackCooldown }, teams) {
+    const { inward } = spawnFrame(Math.max(0, teams.indexOf(team)), teams.length);
+    return {
+        id,
+        team,
+        isPlayer,
+        genes,
+        birthGeneration,
+        parents,
+        origin,
+        maxHealth,
+        damage,
+        attackCooldown,
+        position: new Vector3(),
+        previousPosition: new Vector3(),
+        velocity: new Vector3(inward.x, inward.y, inward.z),
+        health: maxHealth,
+        isDead: false,
+        kills: 0,
+        damageDealt: 0,
+        damageTaken: 0
+    };
+}
+
+export class WorkerRunner {
+    constructor(options = {}) {
+        this.options = options;
+        this.simulation = new SimulationMirror(options);
+        this.worker = null;
+        this.saveRequests = []; // { resolve, reject } of save requests, answered in order
+        
+        // Local copies so interpolation can run ahead of the last frame
+        this.paused = false;
+        this.speed = 1;
+        this.frameAlpha = 0;
+        this.frameTime = 0;
+    }
+    
+    on(event, listener) {
+        this.simulation.on(event, listener);
+    }
+    
+    start() {
+        this.worker = new Worker(new URL('./worker.js', import.meta.url), { type: 'module' });
+        this.worker.onmessage = ({ data }) => this.handleMessage(data);
+        this.worker.postMessage({ type: 'init', options: this.options });
+    }
+    
+    handleMessage(data) {
+        switch (data.type) {
+            case 'population':
+                this.simulation.applyPopulation(data.boids, data.teams);
+                break;
+            case 'frame':
+                this.simulation.applyFrame(data.state, data.buffer, data.events);
+                this.frameAlpha = data.state.alpha;
+                this.frameTime = performance.now();
+                break;
+            case 'hallOfFame':
+                this.simulation.hallOfFame.load(data.hallOfFame);
+                break;
+            case 'league':
+                this.simulation.league.load(data.league);
+                break;
+            case 'islands':
+                this.simulation.islands.load(data.islands);
+                break;
+            case 'lineage':
+                this.simulation.lineage.load(data.lineage);
+                break;
+            case 'progress':
+                this.simulation.emit('trainingProgress', data.progress);
+                break;
+            case 'trainingEnd':
+                this.simulation.emit('trainingEnd', data.progress);
+                break;
+            case 'save': {
+                const { resolve, reject } = this.saveRequests.shift();
+                if (data.error) reject(new Error(data.error));
+                else resolve(data.save);
+                break;
+            }
+        }
+    }
+    
+    // Ticks happen in the worker; this only estimates how far past the
+    // last received frame the worker has got by now
+    advance() {
+        if (this.paused) return 1;
+        
+        const elapsed = (performance.now() - this.frameTime) / 1000;
+        return Math.min(1, this.frameAlpha + (elapsed * this.speed) / this.simulation.tickDuration);
+    }
+    
+    setPlayerPosition(position) {
+        this.worker.postMessage({ type: 'player', position: [position.x, position.y, position.z] });
+    }
+    
+    command(name, ...args) {
+        if (name === 'setPaused') this.paused = args[0];
+        if (name === 'setSpeed') this.speed = args[0];
+        if (name === 'setPlayerControlled') this.simulation.playerControlled = args[0];
+        if (name === 'setPlayerInvisible') this.simulation.playerInvisible = args[0];
+        if (name === 'setAlliances') this.simulation.alliances = normalizeAlliances(args[0], this.simulation.teams);
+        
+        // Same as locally: views go away until the evolved population arrives
+        if (name === 'train') this.simulation.removeAll();
+        
+        this.worker.postMessage({ type: 'command', name, args });
+    }
+    
+    // Resolves with a save of the run, made in the worker
+    requestSave() {
+        return new Promise((resolve, reject) => {
+            this.saveRequests.push({ resolve, reject });
+            this.worker.postMessage({ type: 'save' });
+        });
+    }
+    
+    dispose() {
+        if (this.worker) this.worker.terminate();
+        this.worker = null;
+        this.simulation.removeAll();
+    }
+}
@@ -0,0 +1,114 @@
+// sim/save.js - Saved runs
+//
+// A save is versioned JSON with the run's settings (what the Simulation was
+// constructed with, plus every later change) and its checkpoint: the state
+// the current generation started from (see Simulation.captureCheckpoint).
+// Loading builds a Simulation from the settings and restores the checkpoint,
+// so the run resumes at the start of the saved generation.
+
+import { validateGenome } from './genome-io.js';
+
+export const SAVE_FORMAT = 'boids-battle-save';
+export const SAVE_VERSION = 1;
+
+export function createSave(simulation) {
+    if (!simulation.checkpoint) {
+        throw new Error('Nothing to save before the run has started');
+    }
+    
+    return {
+        format: SAVE_FORMAT,
+        version: SAVE_VERSION,
+        savedAt: new Date().toISOString(),
+        generation: simulation.checkpoint.generation,
+        settings: JSON.parse(JSON.stringify({
+            seed: simulation.seed,
+            tickRate: 1 / simulation.tickDuration,
+            teamSize: simulation.teamSize,
+            teamCount: simulation.teams.length,
+            alliances: simulation.alliances,
+            battleDuration: simulation.battleDuration,
+            teamEvolution: simulation.evolution,
+            fitness: simulation.fitness,
+            brains: simulation.brains,
+            league: simulation.league.settings,
+            islands: simulation.islands.settings
+        })),
+        checkpoint: simulation.saveCheckpoint()
+    };
+}
+
+// Parses and checks a save (JSON text or an already parsed object); every
+// genome in it is validated like an imported one (see validateCheckpoint).
+// Throws an Error on the first problem.
+export function readSave(input) {
+    let save = input;
+    if (typeof input === 'string') {
+        try {
+            save = JSON.parse(input);
+        } catch (error) {
+            throw new Error(`Not a JSON file: ${error.message}`);
+        }
+    }
+    
+    if (!save || save.format !== SAVE_FORMAT) {
+        throw new Error('Not a saved run');
+    }
+    if (save.version !== SAVE_VERSION) {
+        throw new Error(`Unsupported save version: ${save.version}`);
+    }
+    if (!save.settings || !save.checkpoint) {
+        throw new Error('The save is incomplete');
+    }
+    
+    validateCheckpoint(save.checkpoint);
+    return save;
+}
+
+// Validates, in place, every genome a checkpoint holds: boids, hall of fame,
+// queued injections and imports, league squads and the island arenas' own
+// checkpoints. `name` prefixes error messages.
+function validateCheckpoint(checkpoint, name = '') {
+    if (!checkpoint || !Array.isArray(checkpoint.boids)) {
+        throw new Error(name ? `${name}checkpoint is incomplete` : 'The save is incomplete');
+    }
+    
+    for (const boid of checkpoint.boids) {
+        boid.genes = validateGenome(boid.genes, `${name}boid ${boid.id}`);
+    }
+    for (const [team, entries] of Object.entries(checkpoint.hallOfFame?.teams || {})) {
+        for (const entry of list(entries, `${name}hall of fame ${team}`)) {
+            entry.genes = validateGenome(entry.genes, `${name}hall of fame ${team} entry ${entry.id}`);
+        }
+    }
+    for (const [team, queued] of Object.entries(checkpoint.injections || {})) {
+        list(queued, `${name}injections for ${team}`).forEach((injection, i) => {
+            injection.genes = validateGenome(injection.genes, `${name}injection ${i + 1} for ${team}`);
+        });
+    }
+    for (const [team, imported] of Object.entries(checkpoint.imports || {})) {
+        imported.genomes = list(imported.genomes, `${name}import for ${team}`)
+            .map((genes, i) => validateGenome(genes, `${name}import for ${team} genome ${i + 1}`));
+    }
+    for (const snapshot of list(checkpoint.league?.snapshots || [], `${name}league snapshots`)) {
+        if (snapshot.squad) {
+            snapshot.squad = list(snapshot.squad, `${name}league snapshot ${snapshot.id}`)
+                .map((genes, i) => validateGenome(genes, `${name}league snapshot ${snapshot.id} genome ${i + 1}`));
+        }
+    }
+    list(checkpoint.islands?.arenas || [], `${name}islands`).forEach((arena, i) => {
+        validateCheckpoint(arena, `island ${i + 1}: `);
+    });
+}
+
+function list(value, name) {
+    if (!Array.isArray(value)) {
+        throw new Error(`${name} is not a list`);
+    }
+    return value;
+}
+
+// Simulation (and runner) options that resume a save
+export function saveOptions(save) {
+    return { ...save.settings, restore: save.checkpoint };
+}
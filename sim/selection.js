@@ -0,0 +1,93 @@
+// sim/selection.js - Parent selection strategies
+//
+// Each strategy takes the breeding pool once per team and returns a picker,
+// so sorting and fitness totals are computed once, not per offspring.
+
+export const TOURNAMENT_SIZE = 3;
+export const TRUNCATION_SHARE = 0.5; // Fraction of the pool (best first) that may breed
+
+export const SELECTION_STRATEGIES = {
+    // Fitness-proportional roulette wheel
+    roulette(pool, random) {
+        const totalFitness = pool.reduce((sum, boid) => sum + boid.fitnessScore, 0);
+        return () => selectParentByFitness(pool, totalFitness, random);
+    },
+    
+    // Best of TOURNAMENT_SIZE random entrants
+    tournament(pool, random) {
+        return () => {
+            let best = pool[random.randInt(0, pool.length - 1)];
+            for (let i = 1; i < TOURNAMENT_SIZE; i++) {
+                const entrant = pool[random.randInt(0, pool.length - 1)];
+                if (entrant.fitnessScore > best.fitnessScore) best = entrant;
+            }
+            return best;
+        };
+    },
+    
+    // Odds proportional to rank, so one outlier cannot take over the team
+    rank(pool, random) {
+        const ranked = sortByFitness(pool).reverse(); // Worst first, rank = index + 1
+        const totalRank = ranked.length * (ranked.length + 1) / 2;
+        
+        return () => {
+            let rand = random.random() * totalRank;
+            for (let i = 0; i < ranked.length; i++) {
+                rand -= i + 1;
+                if (rand <= 0) return ranked[i];
+            }
+            return ranked[ranked.length - 1];
+        };
+    },
+    
+    // Uniform among the top TRUNCATION_SHARE of the pool
+    truncation(pool, random) {
+        const count = Math.max(1, Math.round(pool.length * TRUNCATION_SHARE));
+        const top = sortByFitness(pool).slice(0, count);
+        return () => top[random.randInt(0, top.length - 1)];
+    }
+};
+
+export const SELECTION_LABELS = {
+    roulette: 'Roulette',
+    tournament: 'Tournament',
+    rank: 'Rank',
+    truncation: 'Truncation'
+};
+
+// Where parents come from: survivors, or always the whole team. A wiped-out
+// team follows the wipeout pool instead (see WIPEOUT_POOLS in hall-of-fame.js)
+export const SELECTION_POOLS = {
+    survivors: 'Survivors',
+    all: 'Whole team, dead included'
+};
+
+export function createSelector(strategy, pool, random) {
+    const create = SELECTION_STRATEGIES[strategy];
+    if (!create) {
+        throw new Error(`Unknown selection strategy: ${strategy}`);
+    }
+    
+    return create(pool, random);
+}
+
+// Best first; ties keep pool order so runs stay reproducible
+export function sortByFitness(boids) {
+    return boids.slice().sort((a, b) => b.fitnessScore - a.fitnessScore);
+}
+
+export function selectParentByFitness(survivors, totalFitness, random) {
+    // Roulette wheel selection
+    let rand = random.random() * totalFitness;
+    let runningSum = 0;
+    
+    for (const survivor of survivors) {
+        runningSum += survivor.fitnessScore;
+        if (runningSum >= rand) {
+            return survivor;
+        }
+    }
+    
+    // Fallback
+    return survivors[survivors.length - 1];
+}
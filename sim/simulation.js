@@ -0,0 +1,734 @@
+// sim/simulation.js - Battle and evolution loop, independent of THREE and the DOM
+//
+// The browser build drives this through a render adapter (see main.js) that
+// listens to the events below. Headless callers just call step() or
+// runGeneration() and read the results.
+//
+// Events:
+//   boidAdded(boid), boidRemoved(boid)
+//   attack(attacker, target), damage(boid, attacker, amount), death(boid)
+//   battleEnd({ result, survivors }) - survivors is team -> surviving boids
+//   generationStart(generation)
+
+import {
+    TEAMS, TEAM_COUNT, ALLIANCES, TEAM_SIZES, BATTLE_DURATION, BOID_SIZE, FLOOR_Y_POSITION, PERCEPTION_INTERVAL,
+    CROSSOVER_RATE, CROSSOVER_OPERATOR, SELECTION_STRATEGY, SELECTION_POOL, ELITISM,
+    WIPEOUT_POOL, CHAMPION_REINJECTION, MUTATION_OPERATOR, MUTATION_RATE, MUTATION_AMOUNT, MUTATION_SIGMA,
+    MUTATION_SCHEDULE, ANNEALING_GENERATIONS, MIN_MUTATION_RATE, SPECIATION, SPECIES_THRESHOLD, TRAIT_BUDGET
+} from './config.js';
+import { Boid } from './boid.js';
+import { createRandomGenes } from './genes.js';
+import { projectOntoBudget } from './budget.js';
+import { mutateGenes, mutationRateFor } from './mutation.js';
+import { crossoverGenes } from './crossover.js';
+import { createSelector, sortByFitness } from './selection.js';
+import { createFitnessDefinitions, createFitnessContext, describeFitness } from './fitness.js';
+import { HallOfFame } from './hall-of-fame.js';
+import { createBrainSettings } from './brain.js';
+import { activeGenes, measureDiversity, speciate, shareFitness } from './diversity.js';
+import { League } from './league.js';
+import { Archipelago } from './islands.js';
+import { Lineage } from './lineage.js';
+import { MAX_TEAMS, teamIds, spawnFrame, normalizeAlliances, createSides } from './teams.js';
+import { Random, randomSeed } from './random.js';
+import { TICK_RATE } from './clock.js';
+import { SpatialGrid } from './spatial-grid.js';
+import { EventEmitter } from './emitter.js';
+
+// League opponents are drawn from their own stream, derived from the run's seed
+function leagueSeed(seed) {
+    return (seed ^ 0x9E3779B9) >>> 0;
+}
+
+export function createBattleHistory(teams) {
+    return {
+        generations: [],
+        wins: Object.fromEntries(teams.map(team => [team, 0])), // Team -> battles won (shared by allies)
+        draws: 0
+    };
+}
+
+// How offspring are bred; see createNewTeam
+export function createEvolutionSettings(overrides = {}) {
+    return {
+        teamSize: TEAM_SIZES, // Population size
+        selection: SELECTION_STRATEGY,
+        selectionPool: SELECTION_POOL,
+        elitism: ELITISM,
+        wipeoutPool: WIPEOUT_POOL,
+        championReinjection: CHAMPION_REINJECTION,
+        crossoverRate: CROSSOVER_RATE,
+        crossoverOperator: CROSSOVER_OPERATOR,
+        mutationOperator: MUTATION_OPERATOR,
+        mutationRate: MUTATION_RATE,
+        mutationAmount: MUTATION_AMOUNT,
+        mutationSigma: MUTATION_SIGMA,
+        mutationSchedule: MUTATION_SCHEDULE,
+        annealingGenerations: ANNEALING_GENERATIONS,
+        minMutationRate: MIN_MUTATION_RATE,
+        speciation: SPECIATION,
+        speciesThreshold: SPECIES_THRESHOLD,
+        traitBudget: TRAIT_BUDGET, // Points for the costed genes, 0 = unlimited (see budget.js)
+        ...overrides
+    };
+}
+
+// Team -> its own evolution settings: the shared ones with the team's overrides on top
+export function createTeamEvolution(teams, shared = {}, perTeam = {}) {
+    return Object.fromEntries(teams.map(team => [team, createEvolutionSettings({ ...shared, ...perTeam[team] })]));
+}
+
+// Where the player boid (re)spawns: the blue team's spawn region, above the floor
+export function playerSpawnPosition(target, teams = teamIds(TEAM_COUNT)) {
+    const { center } = spawnFrame(teams.indexOf(TEAMS.BLUE), teams.length);
+    target.set(center.x, center.y, center.z);
+    
+    if (target.y < FLOOR_Y_POSITION + BOID_SIZE * 2) {
+        target.y = FLOOR_Y_POSITION + BOID_SIZE * 2;
+    }
+    
+    return target;
+}
+
+export class Simulation extends EventEmitter {
+    constructor({
+        seed = randomSeed(),
+        tickRate = TICK_RATE,
+        teamSize = TEAM_SIZES,
+        teamCount = TEAM_COUNT,
+        alliances = ALLIANCES,
+        battleDuration = BATTLE_DURATION,
+        evolution = {},
+        teamEvolution = {},
+        fitness = {},
+        brains = {},
+        league = {},
+        islands = {}
+    } = {}) {
+        super();
+        this.random = new Random(seed);
+        this.tickDuration = 1 / tickRate; // Fixed simulation step in seconds
+        this.teams = teamIds(teamCount); // Teams in this run, in spawn order
+        this.setAlliances(alliances);
+        this.battleDuration = battleDuration; // Seconds before a battle is called
+        this.evolution = createTeamEvolution(this.teams, { teamSize, ...evolution }, teamEvolution); // Team -> settings
+        this.teamSize = createEvolutionSettings({ teamSize, ...evolution }).teamSize; // Default population size
+        this.fitness = createFitnessDefinitions(fitness); // Team -> fitness definition
+        this.brains = createBrainSettings(brains); // Team -> brain type, see brain.js
+        this.hallOfFame = new HallOfFame();
+        this.lineage = new Lineage(); // Family graph of every boid with living descendants
+        this.injections = {}; // Team -> { genes, origin, parents } queued for its next generation
+        this.imports = {}; // Team -> { genomes, brain } its next generation is bred from instead
+        this.newTeams = []; // { genomes, brain } of imported teams that join at the next generation start
+        this.species = {}; // Team -> species of the last battle, see diversity.js
+        this.nextSpeciesId = 1;
+        this.league = new League(league, leagueSeed(seed));
+        this.islands = new Archipelago(this, islands, seed); // Extra sub-populations, see islands.js
+        this.grid = new SpatialGrid(); // Everyone alive, rebuilt every tick for perception and collisions
+        this.boids = [];
+        this.playerBoid = null;
+        this.playerInvisible = false;
+        this.playerControlled = false; // Player only attacks once someone is steering it
+        this.tick = 0;
+        this.battleTicks = 0;
+        this.generation = 1;
+        this.battleActive = true;
+        this.generationQueued = false; // Next generation waits for island battles and league matches, see queueNewGeneration
+        this.battleHistory = createBattleHistory(this.teams);
+        this.lastBattle = null;
+        this.nextBoidId = 1; // Ids stay unique for the lifetime of the simulation, across resets
+        this.checkpoint = null; // The run as of the current generation's start, see captureCheckpoint
+    }
+    
+    // `ancestry` is { parents, origin } for the lineage, see lineage.js
+    spawnBoid(team, genes = null, isPlayer = false, ancestry = {}) {
+        const boid = new Boid(this, team, genes, isPlayer);
+        boid.parents = ancestry.parents || [];
+        boid.origin = ancestry.origin || (genes ? 'injected' : 'random');
+        if (!isPlayer) this.lineage.add(boid);
+        this.boids.push(boid);
+        this.emit('boidAdded', boid);
+        return boid;
+    }
+    
+    initializeBoids({ withPlayer = false } = {}) {
+        for (const team of this.teams) {
+            for (let i = 0; i < this.evolution[team].teamSize; i++) {
+                this.spawnBoid(team);
+            }
+        }
+        
+        this.islands.initialize();
+        
+        // Create player boid (blue team)
+        if (withPlayer) {
+            this.playerBoid = this.spawnBoid(TEAMS.BLUE, null, true);
+            this.resetPlayer();
+        }
+        
+        this.captureCheckpoint();
+    }
+    
+    resetPlayer() {
+        const player = this.playerBoid;
+        if (!player) return;
+        
+        player.health = player.maxHealth;
+        player.isDead = false;
+        player.kills = 0;
+        player.damageDealt = 0;
+        player.damageTaken = 0;
+        player.assists = 0;
+        player.damagedBy.clear();
+        
+        this.resetPlayerPosition();
+    }
+    
+    resetPlayerPosition() {
+        const player = this.playerBoid;
+        if (!player) return;
+        
+        // Reset player position to blue team starting area
+        playerSpawnPosition(player.position, this.teams);
+        player.velocity.set(0, 0, -1);
+        player.acceleration.set(0, 0, 0);
+        player.previousPosition.copy(player.position);
+    }
+    
+    countAlive(team) {
+        return this.boids.filter(b => b.team === team && !b.isDead && !b.isPlayer).length;
+    }
+    
+    // Simulation time in seconds; cooldowns and the battle timer run on this
+    get time() {
+        return this.tick * this.tickDuration;
+    }
+    
+    get battleTimer() {
+        return this.battleTicks * this.tickDuration;
+    }
+    
+    // Advances the simulation by exactly one fixed tick
+    step() {
+        this.tick++;
+        this.updateBoids(this.tickDuration);
+        this.updateBattle();
+    }
+    
+    updateBoids(delta) {
+        const boids = this.boids;
+        
+        // Bucket everyone once; perception and collisions query the grid
+        this.grid.rebuild(boids);
+        
+        // Refresh what boids can see, a staggered share of them per tick
+        for (const boid of boids) {
+            if (!boid.isPlayer && !boid.isDead && (this.tick + boid.id) % PERCEPTION_INTERVAL === 0) {
+                boid.perceive();
+            }
+        }
+        
+        // Apply flocking behaviors
+        for (const boid of boids) {
+            if (!boid.isPlayer && !boid.isDead) {
+                boid.flock();
+            }
+        }
+        
+        // Update positions
+        for (const boid of boids) {
+            if (!boid.isPlayer) {
+                boid.update(delta);
+            } else if (this.playerControlled) {
+                // Player position is driven from outside; it can attack too
+                boid.attack();
+            }
+        }
+    }
+    
+    updateBattle() {
+        if (!this.battleActive) return;
+        
+        this.battleTicks++;
+        
+        // Check if battle should end: time is up or only one side is left
+        const sidesAlive = new Set();
+        for (const boid of this.boids) {
+            if (!boid.isDead && !boid.isPlayer) sidesAlive.add(this.sides.get(boid.team));
+        }
+        
+        if (this.battleTimer >= this.battleDuration || sidesAlive.size <= 1) {
+            this.endBattle();
+        }
+    }
+    
+    endBattle() {
+        this.battleActive = false;
+        
+        // Determine winners and survivors
+        const survivors = {};
+        for (const team of this.teams) {
+            survivors[team] = this.boids.filter(b => b.team === team && !b.isDead && !b.isPlayer);
+        }
+        
+        // Calculate fitness scores for all boids, each team by its own definition
+        for (const team of this.teams) {
+            const definition = this.fitness[team];
+            const context = createFitnessContext(this, team);
+            
+            for (const boid of this.boids) {
+                if (boid.team === team && !boid.isPlayer) {
+                    boid.calculateFitness(definition, context);
+                }
+            }
+            
+            const members = this.boids.filter(b => b.team === team && !b.isPlayer);
+            this.hallOfFame.record(team, members, this.generation);
+            this.lineage.score(members);
+            this.league.record(team, this.generation, members, this.brains[team]);
+        }
+        
+        const perTeam = build => Object.fromEntries(this.teams.map(team => [team, build(team)]));
+        
+        // The side (team or alliance) with the most survivors wins; ties are draws
+        const winners = this.decideWinners(survivors);
+        const history = this.battleHistory;
+        if (winners.length > 0) {
+            for (const team of winners) history.wins[team] = (history.wins[team] || 0) + 1;
+        } else {
+            history.draws++;
+        }
+        
+        // Record battle results
+        const result = {
+            generation: this.generation,
+            survivors: perTeam(team => survivors[team].length),
+            duration: this.battleTimer,
+            topFitness: perTeam(team => survivors[team].length > 0 ? Math.max(...survivors[team].map(b => b.fitnessScore)) : 0),
+            winners,
+            wins: { ...history.wins }, // Standings after this battle
+            draws: history.draws,
+            alliances: this.alliances.map(group => group.slice()),
+            fitness: perTeam(team => describeFitness(this.fitness[team])),
+            brains: perTeam(team => this.brains[team]),
+            evolution: perTeam(team => ({ ...this.evolution[team] })),
+            diversity: perTeam(team => this.measureTeam(team))
+        };
+        
+        history.generations.push(result);
+        
+        const outcome = { result, survivors };
+        this.lastBattle = outcome;
+        this.emit('battleEnd', outcome);
+        return outcome;
+    }
+    
+    // Teams on the side with the most survivors, or none on a tie
+    decideWinners(survivors) {
+        const totals = new Map();
+        for (const team of this.teams) {
+            const side = this.sides.get(team);
+            totals.set(side, (totals.get(side) || 0) + survivors[team].length);
+        }
+        
+        const best = Math.max(...totals.values());
+        const leaders = [...totals.keys()].filter(side => totals.get(side) === best);
+        return leaders.length === 1 ? this.teams.filter(team => this.sides.get(team) === leaders[0]) : [];
+    }
+    
+    // Groups of allied teams (see teams.js); takes effect immediately
+    setAlliances(groups) {
+        this.alliances = normalizeAlliances(groups, this.teams);
+        this.sides = createSides(this.teams, this.alliances);
+    }
+    
+    // Adds the next unused team, which fights from the next generation with the
+    // first team's evolution settings. Returns its id.
+    addTeam() {
+        if (this.teams.length >= MAX_TEAMS) {
+            throw new Error(`At most ${MAX_TEAMS} teams`);
+        }
+        
+        const team = teamIds(this.teams.length + 1)[this.teams.length];
+        this.teams.push(team);
+        if (!this.evolution[team]) {
+            this.evolution[team] = createEvolutionSettings({ ...this.evolution[this.teams[0]] });
+        }
+        this.battleHistory.wins[team] = 0;
+        this.setAlliances(this.alliances);
+        return team;
+    }
+    
+    areAllies(a, b) {
+        return a === b || (this.sides.has(a) && this.sides.get(a) === this.sides.get(b));
+    }
+    
+    // Starts the next generation as soon as this one's island battles and league
+    // matches are done. Frame-driven callers use this, and call
+    // startQueuedGeneration() after each islands.run() and league.run() slice,
+    // so breeding never has to finish islands in one go. Waiting for the league
+    // keeps ratings down to the seed: the next snapshot starts from its team's
+    // rating after every earlier match, however the slices fell.
+    queueNewGeneration() {
+        this.generationQueued = true;
+        this.startQueuedGeneration();
+    }
+    
+    startQueuedGeneration() {
+        if (this.generationQueued && !this.battleActive && !this.islands.busy && !this.league.busy) {
+            this.startNewGeneration();
+        }
+    }
+    
+    startNewGeneration(survivors = this.lastBattle.survivors) {
+        this.generationQueued = false;
+        
+        // Imported teams join first, so the islands make room for them too
+        for (const imported of this.newTeams.splice(0)) {
+            this.imports[this.addTeam()] = imported;
+        }
+        
+        // Other islands finish (at once, for headless callers that did not wait),
+        // exchange migrants and breed first
+        this.islands.breed(survivors);
+        
+        this.generation++;
+        const previous = this.boids;
+        
+        // Clean up old boids, keeping the player
+        for (const boid of previous) {
+            if (!boid.isPlayer) {
+                this.emit('boidRemoved', boid);
+            }
+        }
+        
+        this.boids = this.playerBoid ? [this.playerBoid] : [];
+        this.resetPlayer();
+        
+        // Reproduce every team
+        for (const team of this.teams) {
+            this.createNewTeam(team, survivors[team] || [], previous.filter(b => b.team === team && !b.isPlayer));
+        }
+        
+        // Forget family lines that died out, keeping the hall of fame's
+        const champions = this.teams.flatMap(team => this.hallOfFame.get(team).map(entry => entry.id));
+        this.lineage.prune([...this.boids.map(b => b.id), ...champions], this.generation);
+        
+        // Reset battle timer
+        this.battleTicks = 0;
+        this.battleActive = true;
+        this.captureCheckpoint();
+        
+        this.emit('generationStart', this.generation);
+    }
+    
+    // Diversity of a team's finished battle; in speciation mode also re-clusters
+    // it into species. Species sizes go into the battle result.
+    measureTeam(team) {
+        const members = this.boids.filter(b => b.team === team && !b.isPlayer);
+        const genes = activeGenes(this.brains[team]);
+        
+        const evolution = this.evolution[team];
+        this.species[team] = evolution.speciation
+            ? speciate(this.species[team] || [], members, {
+                threshold: evolution.speciesThreshold,
+                genes,
+                nextId: () => this.nextSpeciesId++
+            })
+            : [];
+        
+        return {
+            ...measureDiversity(members.map(b => b.genes), genes),
+            species: this.species[team].map(s => ({ id: s.id, size: s.members.length, bestFitness: s.bestFitness }))
+        };
+    }
+    
+    // Queues a genome (e.g. a hall of fame champion) for the team's next generation.
+    // `origin` and `parents` go into its lineage.
+    injectGenome(team, genes, origin = 'injected', parents = []) {
+        (this.injections[team] || (this.injections[team] = [])).push({ genes, origin, parents });
+    }
+    
+    // Genomes from a file (validated, see genome-io.js), from the next generation:
+    // 'population' queues them into `team`, 'replace' breeds the team's next
+    // generation from them alone, 'newTeam' adds a team that starts from them.
+    // Returns the team they went to. A new team only joins when the generation
+    // ends, so a save in between still matches the checkpoint's team count.
+    importGenomes(mode, team, genomes, brain = null) {
+        switch (mode) {
+            case 'population':
+            case 'replace':
+                if (!this.teams.includes(team)) {
+                    throw new Error(`No such team in this run: ${team}`);
+                }
+                break;
+            case 'newTeam': {
+                const count = this.teams.length + this.newTeams.length;
+                if (count >= MAX_TEAMS) {
+                    throw new Error(`At most ${MAX_TEAMS} teams`);
+                }
+                team = teamIds(count + 1)[count];
+                break;
+            }
+            default:
+                throw new Error(`Unknown import mode: ${mode}`);
+        }
+        
+        if (mode === 'population') {
+            for (const genes of genomes) this.injectGenome(team, genes, 'imported');
+        } else if (mode === 'newTeam') {
+            this.newTeams.push({ genomes, brain });
+        } else {
+            this.imports[team] = { genomes, brain };
+        }
+        return team;
+    }
+    
+    // `population` is the whole previous team, dead included
+    createNewTeam(team, survivors, population = survivors) {
+        const evolution = this.evolution[team];
+        const teamSize = evolution.teamSize;
+        const archive = this.hallOfFame.get(team);
+        const imported = this.imports[team];
+        delete this.imports[team];
+        
+        // Breed from the survivors; a wiped-out team starts over at random, or
+        // breeds from its fallen or the hall of fame
+        let pool = evolution.selectionPool === 'all' || survivors.length === 0 ? population : survivors;
+        if (survivors.length === 0 && evolution.wipeoutPool === 'random') {
+            pool = [];
+        } else if (survivors.length === 0 && evolution.wipeoutPool === 'hallOfFame' && archive.length > 0) {
+            pool = this.hallOfFame.asBreedingPool(team);
+        }
+        
+        // Unchanged genomes first (only fitted to the trait budget): queued injections,
+        // elites, then reinjected champions. An imported team instead starts with the
+        // imported genomes and breeds from them alone.
+        const carried = (this.injections[team] || []).splice(0);
+        if (imported) {
+            if (imported.brain) this.brains[team] = imported.brain;
+            pool = imported.genomes.map(genes => ({ id: null, genes, fitnessScore: 1 }));
+            for (const genes of imported.genomes) {
+                carried.push({ genes, origin: 'imported', parents: [] });
+            }
+        }
+        for (const elite of imported ? [] : sortByFitness(pool).slice(0, evolution.elitism)) {
+            carried.push({ genes: elite.genes, origin: 'elite', parents: [elite.id] });
+        }
+        for (let i = 0; i < evolution.championReinjection && archive.length > 0 && !imported; i++) {
+            const champion = archive[this.random.randInt(0, archive.length - 1)];
+            carried.push({ genes: champion.genes, origin: 'champion', parents: [champion.id] });
+        }
+        
+        const carriedCount = Math.min(carried.length, teamSize);
+        for (let i = 0; i < carriedCount; i++) {
+            const { genes, origin, parents } = carried[i];
+            this.spawnBoid(team, this.fitBudget(team, JSON.parse(JSON.stringify(genes))), false, { origin, parents });
+        }
+        
+        // Nothing to breed from at all: fill up with new random boids
+        if (pool.length === 0) {
+            for (let i = carriedCount; i < teamSize; i++) {
+                this.spawnBoid(team);
+            }
+            return;
+        }
+        
+        // Fill the rest through selection, crossover and mutation
+        const species = evolution.speciation ? this.species[team] || [] : [];
+        const breeders = species.length > 0 ? shareFitness(pool, species) : pool;
+        const selectParent = createSelector(evolution.selection, breeders, this.random);
+        const mutation = this.mutationOptions(team);
+        for (let i = carriedCount; i < teamSize; i++) {
+            const parent = selectParent();
+            const parents = parent.id ? [parent.id] : [];
+            let genes = parent.genes;
+            
+            // Mix in a second parent's genes
+            if (pool.length > 1 && this.random.random() < evolution.crossoverRate) {
+                const other = selectParent();
+                genes = crossoverGenes(parent.genes, other.genes, evolution.crossoverOperator, this.random, mutation.schema);
+                if (other.id && other.id !== parent.id) parents.push(other.id);
+            }
+            
+            // Create a new boid with mutated genes, kept within the trait budget
+            const child = this.fitBudget(team, mutateGenes(genes, this.random, mutation));
+            this.spawnBoid(team, child, false, { origin: 'offspring', parents });
+        }
+    }
+    
+    // Fresh random genome for a team, within its trait budget
+    randomGenes(team) {
+        return this.fitBudget(team, createRandomGenes(this.random));
+    }
+    
+    // Projects a genome onto the team's trait budget, in place
+    fitBudget(team, genes) {
+        const budget = this.evolution[team] ? this.evolution[team].traitBudget : 0;
+        return budget > 0 ? projectOntoBudget(genes, budget) : genes;
+    }
+    
+    // Mutation settings for the team's generation being bred, rate annealed per its schedule
+    mutationOptions(team) {
+        const evolution = this.evolution[team];
+        const rate = mutationRateFor(evolution, this.generation);
+        
+        return {
+            operator: evolution.mutationOperator,
+            rate: evolution.mutationRate,
+            rateScale: evolution.mutationRate > 0 ? rate / evolution.mutationRate : 0,
+            amount: evolution.mutationAmount,
+            sigma: evolution.mutationSigma,
+            schema: activeGenes(this.brains[team]) // Weighted brains leave the network weights alone
+        };
+    }
+    
+    // Runs the current battle to completion and breeds the next generation.
+    // Used by headless callers; the browser steps battles frame by frame.
+    runGeneration() {
+        while (this.battleActive) {
+            this.step();
+        }
+        
+        const { result, survivors } = this.lastBattle;
+        this.startNewGeneration(survivors);
+        return result;
+    }
+    
+    get seed() {
+        return this.random.seed;
+    }
+    
+    // Record of everything a generation starts from (populations with their
+    // spawn positions, RNG state, history, archives, islands and league).
+    // Taken every generation, so it only copies what is per generation: the
+    // histories only grow and keep their length, finished lineage nodes and
+    // league snapshots are shared. saveCheckpoint() turns it into plain data;
+    // saved runs resume from that and replay the generation exactly.
+    captureCheckpoint() {
+        const boids = this.boids.filter(b => !b.isPlayer).map(boid => ({
+            id: boid.id,
+            team: boid.team,
+            genes: boid.genes,
+            birthGeneration: boid.birthGeneration,
+            parents: boid.parents,
+            origin: boid.origin,
+            position: [boid.position.x, boid.position.y, boid.position.z],
+            velocity: [boid.velocity.x, boid.velocity.y, boid.velocity.z]
+        }));
+        
+        const history = this.battleHistory;
+        this.checkpoint = {
+            ...JSON.parse(JSON.stringify({
+                generation: this.generation,
+                tick: this.tick,
+                random: this.random.getState(),
+                nextBoidId: this.nextBoidId,
+                playerId: this.playerBoid ? this.playerBoid.id : null,
+                boids,
+                hallOfFame: this.hallOfFame.toJSON(),
+                species: Object.fromEntries(Object.entries(this.species).map(([team, species]) =>
+                    [team, species.map(({ id, representative }) => ({ id, representative }))])),
+                nextSpeciesId: this.nextSpeciesId,
+                injections: this.injections,
+                imports: this.imports,
+                wins: history.wins,
+                draws: history.draws
+            })),
+            battles: history.generations.length,
+            lineage: this.lineage.checkpoint(),
+            league: this.league.checkpoint(),
+            islands: this.islands.checkpoint()
+        };
+    }
+    
+    // A checkpoint (see captureCheckpoint) as plain data, for saved runs
+    saveCheckpoint(checkpoint = this.checkpoint) {
+        const { battles, wins, draws, lineage, league, islands, ...state } = checkpoint;
+        return {
+            ...JSON.parse(JSON.stringify(state)),
+            battleHistory: JSON.parse(JSON.stringify({ generations: this.battleHistory.generations.slice(0, battles), wins, draws })),
+            lineage: this.lineage.save(lineage),
+            league: this.league.save(league),
+            islands: this.islands.save(islands)
+        };
+    }
+    
+    // Puts the run back to a checkpoint's generation start (see captureCheckpoint)
+    restore(checkpoint, { withPlayer = this.playerBoid !== null } = {}) {
+        for (const boid of this.boids) {
+            this.emit('boidRemoved', boid);
+        }
+        
+        const state = JSON.parse(JSON.stringify(checkpoint));
+        this.boids = [];
+        this.playerBoid = null;
+        this.generation = state.generation;
+        this.tick = state.tick;
+        this.battleTicks = 0;
+        this.battleActive = true;
+        this.generationQueued = false;
+        this.lastBattle = null;
+        
+        for (const description of state.boids) {
+            this.nextBoidId = description.id;
+            const boid = this.spawnBoid(description.team, description.genes, false, description);
+            boid.birthGeneration = description.birthGeneration;
+            boid.position.set(...description.position);
+            boid.previousPosition.copy(boid.position);
+            boid.velocity.set(...description.velocity);
+        }
+        
+        // The player keeps its id, so later ids match the saved run's
+        this.nextBoidId = state.playerId ?? state.nextBoidId;
+        if (withPlayer) {
+            this.playerBoid = this.spawnBoid(TEAMS.BLUE, null, true);
+            this.resetPlayer();
+        }
+        this.nextBoidId = Math.max(state.nextBoidId, this.nextBoidId);
+        
+        this.battleHistory = state.battleHistory;
+        this.hallOfFame.load(state.hallOfFame);
+        this.lineage.load(state.lineage);
+        this.species = state.species;
+        this.nextSpeciesId = state.nextSpeciesId;
+        this.injections = state.injections;
+        this.imports = state.imports;
+        this.newTeams = [];
+        this.league.restore(state.league);
+        this.islands.restore(state.islands);
+        this.random.setState(state.random);
+        this.captureCheckpoint();
+    }
+    
+    // Restarts the run from generation 1; the same seed replays it exactly
+    reset({ withPlayer = this.playerBoid !== null, seed = this.seed } = {}) {
+        // Clean up all boids
+        for (const boid of this.boids) {
+            this.emit('boidRemoved', boid);
+        }
+        
+        // Reset state
+        this.random.setSeed(seed);
+        this.boids = [];
+        this.playerBoid = null;
+        this.tick = 0;
+        this.generation = 1;
+        this.battleTicks = 0;
+        this.battleActive = true;
+        this.generationQueued = false;
+        this.battleHistory = createBattleHistory(this.teams);
+        this.lastBattle = null;
+        this.hallOfFame.clear();
+        this.lineage.clear();
+        this.injections = {};
+        this.imports = {};
+        this.newTeams = [];
+        this.species = {};
+        this.league.clear(leagueSeed(seed));
+        this.islands.clear(seed);
+        
+        // Initialize new boids
+        this.initializeBoids({ withPlayer });
+    }
+}
@@ -0,0 +1,254 @@
+// sim/spatial-grid.js - Uniform grid for radius and nearest-neighbor queries
+//
+// Rebuilt from scratch every tick with a counting sort, so there is no
+// per-boid bookkeeping when boids move, die or get replaced. Positions outside
+// the arena are clamped into the edge cells, which keeps queries exact.
+
+import { WORLD_SIZE } from './config.js';
+
+export const GRID_CELL_SIZE = 100;
+
+export class SpatialGrid {
+    constructor({ cellSize = GRID_CELL_SIZE, halfExtent = WORLD_SIZE } = {}) {
+        this.cellSize = cellSize;
+        this.halfExtent = halfExtent;
+        this.cellsPerAxis = Math.ceil((halfExtent * 2) / cellSize);
+        this.cellCount = this.cellsPerAxis ** 3;
+        
+        // cellStart[c]..cellStart[c + 1] indexes the boids of cell c in `sorted`
+        this.cellStart = new Int32Array(this.cellCount + 1);
+        this.cellOf = new Int32Array(0);
+        this.sorted = [];
+        this.coords = new Float64Array(0); // Positions of `sorted`, packed xyz for fast distance checks
+        this.results = []; // Shared query result, valid until the next query
+        this.resultDistancesSq = []; // Squared distances for findKNearest results
+        
+        // Bounding box of occupied cells, so queries skip empty space
+        this.min = [0, 0, 0];
+        this.max = [-1, -1, -1];
+    }
+    
+    cellCoord(value) {
+        const coord = Math.floor((value + this.halfExtent) / this.cellSize);
+        return Math.max(0, Math.min(this.cellsPerAxis - 1, coord));
+    }
+    
+    cellIndex(x, y, z) {
+        return (x * this.cellsPerAxis + y) * this.cellsPerAxis + z;
+    }
+    
+    rebuild(boids) {
+        const cellStart = this.cellStart;
+        cellStart.fill(0);
+        this.min.fill(this.cellsPerAxis);
+        this.max.fill(-1);
+        
+        if (this.cellOf.length < boids.length) {
+            this.cellOf = new Int32Array(boids.length * 2);
+        }
+        
+        // Count boids per cell (dead boids are left out entirely)
+        for (let i = 0; i < boids.length; i++) {
+            const boid = boids[i];
+            if (boid.isDead) {
+                this.cellOf[i] = -1;
+                continue;
+            }
+            
+            const x = this.cellCoord(boid.position.x);
+            const y = this.cellCoord(boid.position.y);
+            const z = this.cellCoord(boid.position.z);
+            this.expandBounds(x, y, z);
+            
+            const cell = this.cellIndex(x, y, z);
+            this.cellOf[i] = cell;
+            cellStart[cell + 1]++;
+        }
+        
+        // Prefix sum into start offsets
+        for (let c = 0; c < this.cellCount; c++) {
+            cellStart[c + 1] += cellStart[c];
+        }
+        
+        // Scatter into cell order, keeping the original order within a cell
+        const fill = cellStart.slice(0, this.cellCount);
+        const count = cellStart[this.cellCount];
+        this.sorted.length = count;
+        if (this.coords.length < count * 3) {
+            this.coords = new Float64Array(count * 6);
+        }
+        
+        for (let i = 0; i < boids.length; i++) {
+            const cell = this.cellOf[i];
+            if (cell < 0) continue;
+            
+            const slot = fill[cell]++;
+            const position = boids[i].position;
+            this.sorted[slot] = boids[i];
+            this.coords[slot * 3] = position.x;
+            this.coords[slot * 3 + 1] = position.y;
+            this.coords[slot * 3 + 2] = position.z;
+        }
+    }
+    
+    expandBounds(x, y, z) {
+        const coords = [x, y, z];
+        for (let axis = 0; axis < 3; axis++) {
+            this.min[axis] = Math.min(this.min[axis], coords[axis]);
+            this.max[axis] = Math.max(this.max[axis], coords[axis]);
+        }
+    }
+    
+    // Squared distance from the boid in slot `i` of `sorted` to `position`
+    distanceSqTo(i, position) {
+        const dx = this.coords[i * 3] - position.x;
+        const dy = this.coords[i * 3 + 1] - position.y;
+        const dz = this.coords[i * 3 + 2] - position.z;
+        return dx * dx + dy * dy + dz * dz;
+    }
+    
+    // All boids within `radius` of `position`
+    queryRadius(position, radius) {
+        const results = this.results;
+        results.length = 0;
+        
+        const radiusSq = radius * radius;
+        const minX = Math.max(this.min[0], this.cellCoord(position.x - radius));
+        const maxX = Math.min(this.max[0], this.cellCoord(position.x + radius));
+        const minY = Math.max(this.min[1], this.cellCoord(position.y - radius));
+        const maxY = Math.min(this.max[1], this.cellCoord(position.y + radius));
+        const minZ = Math.max(this.min[2], this.cellCoord(position.z - radius));
+        const maxZ = Math.min(this.max[2], this.cellCoord(position.z + radius));
+        
+        for (let x = minX; x <= maxX; x++) {
+            for (let y = minY; y <= maxY; y++) {
+                for (let z = minZ; z <= maxZ; z++) {
+                    const cell = this.cellIndex(x, y, z);
+                    for (let i = this.cellStart[cell]; i < this.cellStart[cell + 1]; i++) {
+                        if (this.distanceSqTo(i, position) <= radiusSq) {
+                            results.push(this.sorted[i]);
+                        }
+                    }
+                }
+            }
+        }
+        
+        return results;
+    }
+    
+    // Closest boid within `maxRadius` accepted by `predicate`, searching
+    // outward one shell of cells at a time so far cells are rarely visited
+    findNearest(position, maxRadius, predicate) {
+        const cx = this.cellCoord(position.x);
+        const cy = this.cellCoord(position.y);
+        const cz = this.cellCoord(position.z);
+        const maxShell = Math.ceil(maxRadius / this.cellSize);
+        
+        // Shells closer than the occupied box are empty, so start at the box
+        const firstShell = Math.max(
+            this.min[0] - cx, cx - this.max[0],
+            this.min[1] - cy, cy - this.max[1],
+            this.min[2] - cz, cz - this.max[2],
+            0
+        );
+        
+        let best = null;
+        let bestDistSq = maxRadius * maxRadius;
+        
+        for (let shell = firstShell; shell <= maxShell; shell++) {
+            // Everything in this shell or beyond is at least (shell - 1) cells away
+            const shellMin = (shell - 1) * this.cellSize;
+            if (shell > 0 && shellMin * shellMin > bestDistSq) break;
+            
+            for (let x = Math.max(cx - shell, this.min[0]); x <= Math.min(cx + shell, this.max[0]); x++) {
+                for (let y = Math.max(cy - shell, this.min[1]); y <= Math.min(cy + shell, this.max[1]); y++) {
+                    // Only the surface of the cube belongs to this shell: inside
+                    // the x/y faces that leaves just the two z caps
+                    const onSide = Math.abs(x - cx) === shell || Math.abs(y - cy) === shell;
+                    const zStep = onSide ? 1 : shell * 2;
+                    
+                    for (let z = cz - shell; z <= cz + shell; z += zStep) {
+                        if (z < this.min[2] || z > this.max[2]) continue;
+                        
+                        const cell = this.cellIndex(x, y, z);
+                        for (let i = this.cellStart[cell]; i < this.cellStart[cell + 1]; i++) {
+                            const distSq = this.distanceSqTo(i, position);
+                            if (distSq < bestDistSq && predicate(this.sorted[i])) {
+                                best = this.sorted[i];
+                                bestDistSq = distSq;
+                            }
+                        }
+                    }
+                }
+            }
+        }
+        
+        return best;
+    }
+    
+    // Up to `k` closest boids within `maxRadius` accepted by `predicate`, nearest
+    // first (shared arrays: results and resultDistancesSq). Same shell walk as
+    // findNearest, so dense crowds cost about as much as sparse ones.
+    findKNearest(position, maxRadius, k, predicate) {
+        const results = this.results;
+        const distances = this.resultDistancesSq;
+        results.length = 0;
+        distances.length = 0;
+        
+        const cx = this.cellCoord(position.x);
+        const cy = this.cellCoord(position.y);
+        const cz = this.cellCoord(position.z);
+        const maxShell = Math.ceil(maxRadius / this.cellSize);
+        const firstShell = Math.max(
+            this.min[0] - cx, cx - this.max[0],
+            this.min[1] - cy, cy - this.max[1],
+            this.min[2] - cz, cz - this.max[2],
+            0
+        );
+        
+        // Anything farther than this can't make the list
+        let limitSq = maxRadius * maxRadius;
+        
+        for (let shell = firstShell; shell <= maxShell; shell++) {
+            const shellMin = (shell - 1) * this.cellSize;
+            if (shell > 0 && shellMin * shellMin > limitSq) break;
+            
+            for (let x = Math.max(cx - shell, this.min[0]); x <= Math.min(cx + shell, this.max[0]); x++) {
+                for (let y = Math.max(cy - shell, this.min[1]); y <= Math.min(cy + shell, this.max[1]); y++) {
+                    const onSide = Math.abs(x - cx) === shell || Math.abs(y - cy) === shell;
+                    const zStep = onSide ? 1 : shell * 2;
+                    
+                    for (let z = cz - shell; z <= cz + shell; z += zStep) {
+                        if (z < this.min[2] || z > this.max[2]) continue;
+                        
+                        const cell = this.cellIndex(x, y, z);
+                        for (let i = this.cellStart[cell]; i < this.cellStart[cell + 1]; i++) {
+                            const distSq = this.distanceSqTo(i, position);
+                            if (distSq > limitSq || !predicate(this.sorted[i])) continue;
+                            
+                            // Insertion into the short sorted list
+                            let slot = results.length;
+                            while (slot > 0 && distances[slot - 1] > distSq) {
+                                results[slot] = results[slot - 1];
+                                distances[slot] = distances[slot - 1];
+                                slot--;
+                            }
+                            results[slot] = this.sorted[i];
+                            distances[slot] = distSq;
+                            
+                            if (results.length > k) {
+                                results.length = k;
+                                distances.length = k;
+                            }
+                            if (results.length === k) {
+                                limitSq = distances[k - 1];
+                            }
+                        }
+                    }
+                }
+            }
+        }
+        
+        return results;
+    }
+}
@@ -0,0 +1,69 @@
+// sim/teams.js - Which teams take part, where they spawn and who fights whom
+//
+// A battle uses the first N entries of TEAMS. Spawn regions sit evenly around
+// the arena, so two teams face each other across it as they always have.
+// Alliances group teams that neither attack each other nor count as rivals
+// when the battle decides whether it is over.
+
+import { TEAMS, WORLD_SIZE } from './config.js';
+
+export const MIN_TEAMS = 2;
+export const MAX_TEAMS = Object.keys(TEAMS).length;
+export const SPAWN_DISTANCE = WORLD_SIZE * 0.6; // From the arena center to each spawn region
+
+export function teamIds(count) {
+    const clamped = Math.max(MIN_TEAMS, Math.min(MAX_TEAMS, Math.floor(count) || MIN_TEAMS));
+    return Object.values(TEAMS).slice(0, clamped);
+}
+
+// Spawn region of the team at `index` out of `count`: its center, the
+// inward direction, and the sideways axis members spread along. The first
+// team spawns at -z, the second (with two teams) at +z.
+export function spawnFrame(index, count) {
+    const angle = Math.PI + (2 * Math.PI * index) / count;
+    const sin = Math.sin(angle);
+    const cos = Math.cos(angle);
+    
+    return {
+        center: { x: sin * SPAWN_DISTANCE, y: 0, z: cos * SPAWN_DISTANCE },
+        inward: { x: -sin, y: 0, z: -cos },
+        side: { x: -cos, y: 0, z: sin }
+    };
+}
+
+// Keeps only known, participating teams, each in at most one group.
+// Groups of fewer than two teams are dropped.
+export function normalizeAlliances(groups, teams) {
+    const used = new Set();
+    const result = [];
+    
+    for (const group of groups || []) {
+        const members = group.filter(team => teams.includes(team) && !used.has(team));
+        if (members.length < 2) continue;
+        
+        members.forEach(team => used.add(team));
+        result.push(members);
+    }
+    
+    return result;
+}
+
+// Team -> side key; allies share a key, unallied teams are their own side
+export function createSides(teams, alliances) {
+    const sides = new Map(teams.map(team => [team, team]));
+    alliances.forEach((group, i) => {
+        for (const team of group) sides.set(team, `alliance-${i}`);
+    });
+    return sides;
+}
+
+// "red+green, blue" <-> [['red', 'green'], ['blue']], for text inputs
+export function parseAlliances(text) {
+    return text.split(',')
+        .map(group => group.split('+').map(team => team.trim().toLowerCase()).filter(Boolean))
+        .filter(group => group.length > 0);
+}
+
+export function describeAlliances(alliances) {
+    return alliances.map(group => group.join('+')).join(', ');
+}
@@ -0,0 +1,70 @@
+// sim/training.js - Turbo training: evolves whole generations as fast as the CPU allows
+//
+// Work happens in time slices so the caller (render loop or worker loop) can
+// report progress in between. Training stops at the start of a fresh battle,
+// so visual mode picks up cleanly with the evolved populations.
+
+export const TRAINING_SLICE_MS = 50; // Simulation time per slice before yielding
+
+export class TrainingSession {
+    constructor(simulation, generations) {
+        this.simulation = simulation;
+        this.generations = generations;
+        this.startGeneration = simulation.generation;
+        this.startTime = performance.now();
+        this.lastResult = null;
+        this.stopped = false;
+        
+        // Nobody steers the player while training, so keep it out of the fights
+        this.playerControlled = simulation.playerControlled;
+        simulation.playerControlled = false;
+    }
+    
+    get done() {
+        return this.stopped || this.simulation.generation >= this.startGeneration + this.generations;
+    }
+    
+    // Runs for up to `budget` ms; returns true once training has finished
+    run(budget = TRAINING_SLICE_MS) {
+        const simulation = this.simulation;
+        const deadline = performance.now() + budget;
+        
+        while (!this.done && performance.now() < deadline) {
+            if (simulation.league.busy) {
+                // Finish the last generation's league matches first
+                simulation.league.run(deadline - performance.now());
+            } else if (simulation.battleActive) {
+                simulation.step();
+            } else if (simulation.islands.busy) {
+                // Then the other islands' battles of this generation
+                simulation.islands.run(deadline - performance.now());
+            } else {
+                this.lastResult = simulation.lastBattle.result;
+                simulation.startNewGeneration();
+            }
+        }
+        
+        if (this.done) {
+            simulation.playerControlled = this.playerControlled;
+        }
+        
+        return this.done;
+    }
+    
+    // Ends training after the current slice, possibly mid-battle
+    stop() {
+        this.stopped = true;
+    }
+    
+    get progress() {
+        const simulation = this.simulation;
+        return {
+            completed: simulation.generation - this.startGeneration,
+            total: this.generations,
+            generation: simulation.generation,
+            battleProgress: Math.min(1, simulation.battleTimer / simulation.battleDuration),
+            lastResult: this.lastResult,
+            elapsed: (performance.now() - this.startTime) / 1000
+        };
+    }
+}
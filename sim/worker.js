@@ -0,0 +1,186 @@
+// sim/worker.js - Runs the simulation off the render thread (module worker)
+//
+// Ticks on its own fixed-timestep clock and streams state back in the
+// format described in protocol.js. Debug controls arrive as commands.
+
+import { Simulation } from './simulation.js';
+import { SimulationClock } from './clock.js';
+import { runCommand } from './commands.js';
+import { describePopulation, encodeFrame } from './protocol.js';
+import { TrainingSession } from './training.js';
+import { createSave } from './save.js';
+
+let simulation = null;
+let clock = null;
+let events = [];
+let populationDirty = false;
+let playerPosition = null;
+let lastTime = 0;
+let training = null; // TrainingSession while turbo training
+let hallOfFameVersion = -1; // Last hall of fame version sent
+let leagueVersion = -1; // Last league version sent
+let islandsVersion = -1;
+let lineageVersion = -1;
+
+self.onmessage = ({ data }) => {
+    switch (data.type) {
+        case 'init':
+            start(data.options);
+            break;
+        case 'player':
+            playerPosition = data.position;
+            break;
+        case 'command':
+            handleCommand(data.name, data.args);
+            break;
+        case 'save':
+            // A failed save still answers, so the request does not hang
+            try {
+                self.postMessage({ type: 'save', save: createSave(simulation) });
+            } catch (error) {
+                self.postMessage({ type: 'save', error: error.message });
+            }
+            break;
+    }
+};
+
+function start({ withPlayer = false, restore = null, ...options }) {
+    simulation = new Simulation(options);
+    clock = new SimulationClock({ tickRate: 1 / simulation.tickDuration });
+    
+    // Boids travel by id; the render thread keeps its own mirror objects
+    simulation.on('boidAdded', () => { populationDirty = true; });
+    simulation.on('boidRemoved', () => { populationDirty = true; });
+    simulation.on('attack', (attacker, target) => record(['attack', attacker.id, target.id]));
+    simulation.on('damage', boid => record(['damage', boid.id]));
+    simulation.on('death', boid => record(['death', boid.id]));
+    simulation.on('battleEnd', ({ result }) => record(['battleEnd', result]));
+    simulation.on('generationStart', generation => record(['generationStart', generation]));
+    
+    if (restore) {
+        simulation.restore(restore, { withPlayer });
+    } else {
+        simulation.initializeBoids({ withPlayer });
+    }
+    flush();
+    
+    lastTime = performance.now();
+    loop();
+}
+
+// Nothing is rendered while training, so its events are dropped
+function record(event) {
+    if (!training) events.push(event);
+}
+
+function handleCommand(name, args) {
+    switch (name) {
+        case 'train':
+            if (!training) training = new TrainingSession(simulation, args[0]);
+            return;
+        case 'stopTraining':
+            if (training) training.stop();
+            return;
+        default:
+            runCommand(simulation, clock, name, args);
+            flush();
+    }
+}
+
+function loop() {
+    if (training) {
+        train();
+        return;
+    }
+    
+    const now = performance.now();
+    const ticks = clock.advance((now - lastTime) / 1000);
+    lastTime = now;
+    
+    for (let i = 0; i < ticks; i++) {
+        applyPlayerPosition();
+        simulation.step();
+    }
+    
+    if (ticks > 0 && simulation.league.busy) {
+        simulation.league.run();
+    }
+    if (ticks > 0 && simulation.islands.busy) {
+        simulation.islands.run();
+    }
+    if (ticks > 0) simulation.startQueuedGeneration();
+    
+    if (ticks > 0) flush();
+    
+    setTimeout(loop, simulation.tickDuration * 1000);
+}
+
+function train() {
+    const done = training.run();
+    self.postMessage({ type: 'progress', progress: training.progress });
+    
+    if (done) {
+        const progress = training.progress;
+        training = null;
+        
+        // Resume visual mode from here rather than catching up on the training time
+        clock.reset();
+        lastTime = performance.now();
+        flush();
+        self.postMessage({ type: 'trainingEnd', progress });
+    }
+    
+    setTimeout(loop, 0);
+}
+
+// The player is steered by the camera on the render thread
+function applyPlayerPosition() {
+    const player = simulation.playerBoid;
+    if (!player || !playerPosition || !simulation.playerControlled) return;
+    
+    player.position.set(...playerPosition);
+    player.previousPosition.copy(player.position);
+}
+
+function flush() {
+    if (populationDirty) {
+        self.postMessage({ type: 'population', boids: describePopulation(simulation.boids), teams: simulation.teams });
+        populationDirty = false;
+    }
+    
+    if (simulation.hallOfFame.version !== hallOfFameVersion) {
+        self.postMessage({ type: 'hallOfFame', hallOfFame: simulation.hallOfFame.toJSON() });
+        hallOfFameVersion = simulation.hallOfFame.version;
+    }
+    
+    if (simulation.league.version !== leagueVersion) {
+        self.postMessage({ type: 'league', league: simulation.league.toJSON() });
+        leagueVersion = simulation.league.version;
+    }
+    if (simulation.islands.version !== islandsVersion) {
+        self.postMessage({ type: 'islands', islands: simulation.islands.toJSON() });
+        islandsVersion = simulation.islands.version;
+    }
+    if (simulation.lineage.version !== lineageVersion) {
+        self.postMessage({ type: 'lineage', lineage: simulation.lineage.toJSON() });
+        lineageVersion = simulation.lineage.version;
+    }
+    
+    const buffer = encodeFrame(simulation.boids);
+    const state = {
+        tick: simulation.tick,
+        generation: simulation.generation,
+        battleTicks: simulation.battleTicks,
+        battleActive: simulation.battleActive,
+        tickDuration: simulation.tickDuration,
+        seed: simulation.seed,
+        teamSize: simulation.teamSize,
+        teams: simulation.teams,
+        evolution: simulation.evolution, // Team settings change from the debug panel
+        brains: simulation.brains, // Imports may switch a team's brain
+        alpha: clock.alpha
+    };
+    
+    self.postMessage({ type: 'frame', state, buffer, events }, [buffer.buffer]);
+    events = [];
+}
@@ -0,0 +1,62 @@
+// test/determinism.test.js - A seed replays the same run
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Simulation } from '../sim/simulation.js';
+
+const TEAM_SIZE = 30;
+
+// Plays a few generations, league matches drained before each breeding;
+// returns everything the run produced as comparable data
+function playRun(seed, options = {}) {
+    const simulation = new Simulation({ seed, teamSize: TEAM_SIZE, battleDuration: 30, ...options });
+    simulation.initializeBoids();
+    
+    const results = [];
+    for (let g = 0; g < 3; g++) {
+        while (simulation.battleActive) simulation.step();
+        while (simulation.league.busy) simulation.league.run(Infinity);
+        results.push(simulation.lastBattle.result);
+        simulation.startNewGeneration(simulation.lastBattle.survivors);
+    }
+    
+    return JSON.parse(JSON.stringify({
+        results,
+        league: simulation.league.toJSON(),
+        islands: simulation.islands.history,
+        genes: simulation.boids.map(boid => boid.genes)
+    }));
+}
+
+// Combat has to decide something, or there is nothing for a seed to replay
+function assertDecisive(run) {
+    assert.ok(run.results.some(result => Object.values(result.survivors).some(survivors => survivors < TEAM_SIZE)));
+}
+
+test('the same seed gives the same run', () => {
+    const run = playRun(42);
+    assertDecisive(run);
+    assert.deepEqual(playRun(42), run);
+});
+
+test('a different seed gives a different run', () => {
+    assert.notDeepEqual(playRun(42), playRun(43));
+});
+
+test('islands and league ratings replay with the seed', () => {
+    const options = { islands: { count: 2, migrationInterval: 1 }, league: { enabled: true, battleDuration: 30 } };
+    const run = playRun(5, options);
+    assertDecisive(run);
+    assert.ok(run.league.played > 0);
+    assert.ok(run.league.snapshots.some(snapshot => snapshot.rating !== run.league.snapshots[0].rating));
+    assert.deepEqual(playRun(5, options), run);
+});
+
+test('reset with the same seed replays the run', () => {
+    const simulation = new Simulation({ seed: 9, teamSize: TEAM_SIZE, battleDuration: 30 });
+    simulation.initializeBoids();
+    const first = JSON.stringify([simulation.runGeneration(), simulation.runGeneration()]);
+    
+    simulation.reset();
+    assert.equal(JSON.stringify([simulation.runGeneration(), simulation.runGeneration()]), first);
+});
@@ -0,0 +1,102 @@
+// test/genome-io.test.js - Genome file validation and imports
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createGenomeFile, readGenomeFile, validateGenome } from '../sim/genome-io.js';
+import { createSave, readSave, saveOptions } from '../sim/save.js';
+import { geneSchema, getNestedProperty, setNestedProperty } from '../sim/genes.js';
+import { Simulation } from '../sim/simulation.js';
+
+function populationFile() {
+    const simulation = new Simulation({ seed: 1, teamSize: 4, battleDuration: 5, brains: { red: 'neural' } });
+    simulation.initializeBoids();
+    const teams = Object.fromEntries(simulation.teams.map(team => [team, {
+        brain: simulation.brains[team],
+        genomes: simulation.boids.filter(b => b.team === team).map(b => b.genes)
+    }]));
+    return createGenomeFile('populations', teams, { generation: simulation.generation, seed: simulation.seed });
+}
+
+test('a written genome file reads back unchanged', () => {
+    const file = populationFile();
+    const read = readGenomeFile(JSON.stringify(file));
+    
+    assert.deepEqual(Object.keys(read.teams), Object.keys(file.teams));
+    assert.equal(read.teams.red.brain, 'neural');
+    assert.equal(read.generation, 1);
+    assert.equal(read.seed, 1);
+    for (const team of Object.keys(file.teams)) {
+        assert.deepEqual(read.teams[team].genomes, file.teams[team].genomes);
+    }
+});
+
+test('files that are not genome files are rejected', () => {
+    const file = populationFile();
+    
+    assert.throws(() => readGenomeFile('{'), /Not a JSON file/);
+    assert.throws(() => readGenomeFile({ format: 'something-else' }), /Not a genome file/);
+    assert.throws(() => readGenomeFile({ ...file, version: 99 }), /Unsupported genome file version/);
+    assert.throws(() => readGenomeFile({ ...file, kind: 'unknown' }), /Unknown genome file kind/);
+    assert.throws(() => readGenomeFile({ ...file, teams: {} }), /holds no teams/);
+    assert.throws(() => readGenomeFile({ ...file, teams: { red: { genomes: [] } } }), /Team red holds no genomes/);
+});
+
+test('genomes with missing or out-of-range genes are rejected', () => {
+    const genome = populationFile().teams.red.genomes[0];
+    const gene = geneSchema[0];
+    
+    const outOfRange = JSON.parse(JSON.stringify(genome));
+    setNestedProperty(outOfRange, gene.path, gene.max + 1);
+    assert.throws(() => validateGenome(outOfRange), /is outside/);
+    
+    const notANumber = JSON.parse(JSON.stringify(genome));
+    setNestedProperty(notANumber, gene.path, 'fast');
+    assert.throws(() => validateGenome(notANumber), /missing or not a number/);
+    
+    assert.throws(() => validateGenome({ [gene.path.split('.')[0]]: 1 }), /missing or not a number/);
+    assert.throws(() => validateGenome(null), /is not an object/);
+});
+
+test('validated genomes keep only schema genes and valid mutation steps', () => {
+    const genome = JSON.parse(JSON.stringify(populationFile().teams.red.genomes[0]));
+    const [first, second] = geneSchema;
+    genome.extra = 5;
+    genome.mutationSteps = { [first.name]: 0.2, [second.name]: -1, unknown: 0.3 };
+    
+    const clean = validateGenome(genome);
+    assert.equal(clean.extra, undefined);
+    assert.deepEqual(clean.mutationSteps, { [first.name]: 0.2 });
+    for (const gene of geneSchema) {
+        assert.equal(getNestedProperty(clean, gene.path), getNestedProperty(genome, gene.path));
+    }
+});
+
+test('an imported team joins at the next generation start', () => {
+    const genomes = populationFile().teams.red.genomes;
+    const simulation = new Simulation({ seed: 2, teamSize: 4, battleDuration: 5 });
+    simulation.initializeBoids();
+    
+    assert.equal(simulation.importGenomes('newTeam', null, genomes, 'neural'), 'green');
+    assert.deepEqual(simulation.teams, ['red', 'blue']);
+    
+    simulation.runGeneration();
+    assert.deepEqual(simulation.teams, ['red', 'blue', 'green']);
+    assert.equal(simulation.brains.green, 'neural');
+    const green = simulation.boids.filter(boid => boid.team === 'green');
+    assert.equal(green.length, 4);
+    assert.ok(green.every(boid => boid.origin === 'imported'));
+});
+
+test('a save made while a new team waits resumes the generation it holds', () => {
+    const simulation = new Simulation({ seed: 2, teamSize: 4, battleDuration: 5 });
+    simulation.initializeBoids();
+    simulation.importGenomes('newTeam', null, populationFile().teams.red.genomes);
+    
+    const { restore, ...options } = saveOptions(readSave(JSON.stringify(createSave(simulation))));
+    const resumed = new Simulation(options);
+    resumed.restore(restore);
+    assert.deepEqual(resumed.teams, ['red', 'blue']);
+    assert.deepEqual(resumed.boids.map(boid => boid.team), simulation.boids.map(boid => boid.team));
+    resumed.runGeneration();
+    assert.deepEqual(resumed.teams, ['red', 'blue']);
+});
@@ -0,0 +1,95 @@
+// test/save.test.js - Saved runs resume exactly where they were saved
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Simulation } from '../sim/simulation.js';
+import { createSave, readSave, saveOptions } from '../sim/save.js';
+import { LEAGUE_INITIAL_RATING } from '../sim/config.js';
+
+const TEAM_SIZE = 30;
+const OPTIONS = {
+    seed: 7,
+    teamSize: TEAM_SIZE,
+    battleDuration: 30,
+    islands: { count: 2, migrationInterval: 2, migrationSize: 2 },
+    league: { enabled: true, battleDuration: 30, squadSize: 10 }
+};
+
+// One generation, its league matches all played before the next one is bred
+function playGeneration(simulation) {
+    while (simulation.battleActive) simulation.step();
+    while (simulation.league.busy) simulation.league.run(Infinity);
+    simulation.startNewGeneration();
+}
+
+// Everything a run's future depends on, as comparable data
+function runState(simulation) {
+    return JSON.parse(JSON.stringify({
+        generation: simulation.generation,
+        battleHistory: simulation.battleHistory,
+        islands: simulation.islands.history,
+        league: simulation.league.toJSON(),
+        lineage: simulation.lineage.toJSON(),
+        hallOfFame: simulation.hallOfFame.toJSON(),
+        boids: simulation.boids.map(boid => [boid.id, boid.team, boid.genes])
+    }));
+}
+
+test('a resumed save replays the rest of the run exactly', () => {
+    const original = new Simulation(OPTIONS);
+    original.initializeBoids();
+    let save;
+    for (let g = 0; g < 4; g++) {
+        if (g === 2) save = JSON.stringify(createSave(original));
+        playGeneration(original);
+    }
+    
+    const { restore, ...options } = saveOptions(readSave(save));
+    const resumed = new Simulation(options);
+    resumed.restore(restore);
+    assert.equal(resumed.generation, 3);
+    for (let g = 2; g < 4; g++) playGeneration(resumed);
+    
+    // Battles and league matches have to decide something for the replay to mean anything
+    const state = runState(original);
+    assert.ok(state.battleHistory.generations.some(result => Object.values(result.survivors).some(survivors => survivors < TEAM_SIZE)));
+    assert.ok(state.league.snapshots.some(snapshot => snapshot.rating !== LEAGUE_INITIAL_RATING));
+    assert.deepEqual(runState(resumed), state);
+});
+
+test('a save made after the battle holds the generation start', () => {
+    const simulation = new Simulation(OPTIONS);
+    simulation.initializeBoids();
+    playGeneration(simulation);
+    
+    const atStart = createSave(simulation).checkpoint;
+    while (simulation.battleActive) simulation.step();
+    simulation.league.run(1); // Leaves a match in progress
+    
+    assert.deepEqual(createSave(simulation).checkpoint, atStart);
+});
+
+test('saves with invalid genomes anywhere are rejected', () => {
+    const simulation = new Simulation({ ...OPTIONS, teamSize: 4, battleDuration: 5, league: { enabled: true, squadSize: 2 } });
+    simulation.initializeBoids();
+    simulation.runGeneration();
+    simulation.injectGenome('red', simulation.boids[0].genes);
+    simulation.importGenomes('replace', 'blue', [simulation.boids[0].genes]);
+    simulation.captureCheckpoint();
+    const save = JSON.stringify(createSave(simulation));
+    const broken = damage => {
+        const copy = JSON.parse(save);
+        damage(copy.checkpoint);
+        return copy;
+    };
+    
+    assert.doesNotThrow(() => readSave(save));
+    assert.throws(() => readSave('{"format":"boids-battle-genomes"}'), /Not a saved run/);
+    assert.throws(() => readSave(broken(checkpoint => delete checkpoint.boids)), /incomplete/);
+    assert.throws(() => readSave(broken(checkpoint => { checkpoint.boids[0].genes = {}; })), /boid/);
+    assert.throws(() => readSave(broken(checkpoint => { checkpoint.hallOfFame.teams.red[0].genes = {}; })), /hall of fame red/);
+    assert.throws(() => readSave(broken(checkpoint => { checkpoint.injections.red[0].genes = {}; })), /injection 1 for red/);
+    assert.throws(() => readSave(broken(checkpoint => { checkpoint.imports.blue.genomes = [{}]; })), /import for blue/);
+    assert.throws(() => readSave(broken(checkpoint => { checkpoint.league.snapshots[0].squad = [{}]; })), /league snapshot/);
+    assert.throws(() => readSave(broken(checkpoint => { checkpoint.islands.arenas[0].boids[0].genes = {}; })), /island 1: boid/);
+});
@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+// tools/benchmark.js - Fights two saved populations headless (see sim/benchmark.js)
+//
+//   node tools/benchmark.js <a.json>[:team] <b.json>[:team]
+//       [--battles N] [--seed S] [--squad N] [--duration seconds] [--json report.json]
+//
+// Each file is a genome file or a saved run; `:team` picks one of its teams
+// (default: its first). --battles is even, at least 2, so both populations
+// fight on each side equally often. Prints the report, and writes it with
+// every battle's result as JSON when --json is given.
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { basename } from 'node:path';
+import { Benchmark, readPopulations, describeBenchmark } from '../sim/benchmark.js';
+
+const NUMBER_OPTIONS = { '--battles': 'battles', '--seed': 'seed', '--squad': 'squadSize', '--duration': 'battleDuration' };
+const INTEGER_OPTIONS = ['--battles', '--seed', '--squad'];
+
+function parseArguments(args) {
+    const options = { populations: [], settings: {}, json: null };
+    for (let i = 0; i < args.length; i++) {
+        if (NUMBER_OPTIONS[args[i]]) {
+            const option = args[i];
+            const value = Number(args[++i]);
+            if (INTEGER_OPTIONS.includes(option) ? !Number.isInteger(value) || value < 0 : !(Number.isFinite(value) && value > 0)) {
+                throw new Error(`${option} needs a ${INTEGER_OPTIONS.includes(option) ? 'non-negative whole' : 'positive'} number`);
+            }
+            if (option === '--battles' && (value < 2 || value % 2 !== 0)) {
+                throw new Error('--battles needs an even number, at least 2, so both populations get each side equally');
+            }
+            options.settings[NUMBER_OPTIONS[option]] = value;
+        } else if (args[i] === '--json') {
+            options.json = args[++i];
+        } else {
+            options.populations.push(args[i]);
+        }
+    }
+    if (options.populations.length !== 2) throw new Error('Give exactly two population files');
+    return options;
+}
+
+// `file.json:team` -> { name, brain, genomes }
+function loadPopulation(argument) {
+    const [, path, wanted] = argument.match(/^(.*?)(?::([a-z]+))?$/);
+    const teams = readPopulations(readFileSync(path, 'utf8'));
+    const team = wanted || Object.keys(teams)[0];
+    if (!teams[team]) {
+        throw new Error(`${path} has no team ${team} (teams: ${Object.keys(teams).join(', ')})`);
+    }
+    return { name: `${basename(path)}:${team}`, ...teams[team] };
+}
+
+function main() {
+    let benchmark;
+    let options;
+    try {
+        options = parseArguments(process.argv.slice(2));
+        const [a, b] = options.populations.map(loadPopulation);
+        benchmark = new Benchmark(a, b, options.settings);
+    } catch (error) {
+        console.error(error.message);
+        console.error('Usage: node tools/benchmark.js <a.json>[:team] <b.json>[:team] [--battles N] [--seed S] [--squad N] [--duration seconds] [--json report.json]');
+        process.exit(1);
+    }
+    
+    const startTime = performance.now();
+    while (benchmark.run(1000)) {
+        const { played, battles } = benchmark.progress;
+        if (process.stdout.isTTY) process.stdout.write(`\rBattle ${played}/${battles}`);
+    }
+    if (process.stdout.isTTY) process.stdout.write('\r\x1b[K');
+    
+    const report = benchmark.report();
+    console.log(describeBenchmark(report).join('\n'));
+    console.log(`Finished in ${((performance.now() - startTime) / 1000).toFixed(1)}s`);
+    
+    if (options.json) {
+        writeFileSync(options.json, JSON.stringify(report, null, 2));
+    }
+}
+
+main();
@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+// tools/experiment.js - Runs an experiment spec headless (see sim/experiment.js)
+//
+//   node tools/experiment.js <spec.json> [--out <directory>] [--quiet]
+//
+// Writes into the output directory (default experiments/<name>):
+//   generations.csv - one row per run, generation and team: the swept
+//                     values, survivors, fitness stats and gene means
+//   runs/<n>.json   - the same records per run, with its parameters and seed
+//   summary.csv, summary.json - per configuration and team, across seeds
+// and prints the summary table. Runs are written as they finish, so an
+// interrupted experiment keeps its finished runs.
+
+import { mkdirSync, readFileSync, writeFileSync, appendFileSync } from 'node:fs';
+import { join, basename, extname } from 'node:path';
+import {
+    createExperiment, experimentRuns, runExperiment, summarizeExperiment, flattenRecord, toCSV
+} from '../sim/experiment.js';
+
+function parseArguments(args) {
+    const options = { spec: null, out: null, quiet: false };
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--out') {
+            options.out = args[++i];
+        } else if (args[i] === '--quiet') {
+            options.quiet = true;
+        } else {
+            options.spec = args[i];
+        }
+    }
+    return options;
+}
+
+// Mean ± deviation across seeds
+function formatNumber(value, deviation) {
+    return `${value.toFixed(1)} ± ${deviation.toFixed(1)}`;
+}
+
+// Fixed-width text table; every row has the header's keys
+function formatTable(rows) {
+    const columns = Object.keys(rows[0]);
+    const widths = columns.map(column => Math.max(column.length, ...rows.map(row => String(row[column]).length)));
+    const line = cells => cells.map((cell, i) => String(cell).padEnd(widths[i])).join('  ');
+    return [line(columns), line(widths.map(width => '-'.repeat(width))), ...rows.map(row => line(columns.map(c => row[c])))].join('\n');
+}
+
+function main() {
+    const options = parseArguments(process.argv.slice(2));
+    if (!options.spec) {
+        console.error('Usage: node tools/experiment.js <spec.json> [--out <directory>] [--quiet]');
+        process.exit(1);
+    }
+    
+    let experiment;
+    try {
+        const spec = JSON.parse(readFileSync(options.spec, 'utf8'));
+        experiment = createExperiment({ name: basename(options.spec, extname(options.spec)), ...spec });
+    } catch (error) {
+        console.error(`Invalid experiment spec ${options.spec}: ${error.message}`);
+        process.exit(1);
+    }
+    
+    const out = options.out || join('experiments', experiment.name);
+    mkdirSync(join(out, 'runs'), { recursive: true });
+    const csvPath = join(out, 'generations.csv');
+    writeFileSync(csvPath, '');
+    
+    const runs = experimentRuns(experiment);
+    const records = [];
+    const startTime = performance.now();
+    console.log(`${experiment.name}: ${runs.length} runs of ${experiment.generations} generations -> ${out}`);
+    
+    runs.forEach((run, i) => {
+        const runStart = performance.now();
+        const runRecords = runExperiment(run, experiment.generations, {
+            onGeneration: generation => {
+                if (!options.quiet && process.stdout.isTTY) {
+                    process.stdout.write(`\r[${i + 1}/${runs.length}] ${run.id} generation ${generation}/${experiment.generations}`);
+                }
+            }
+        });
+        
+        // The header comes from the first run; every run has the same columns
+        const csv = toCSV(runRecords.map(flattenRecord));
+        appendFileSync(csvPath, i === 0 ? csv : csv.slice(csv.indexOf('\n') + 1));
+        writeFileSync(join(out, 'runs', `${i + 1}.json`), JSON.stringify({
+            id: run.id,
+            parameters: run.parameters,
+            seed: run.seed,
+            options: run.options,
+            records: runRecords
+        }, null, 2));
+        records.push(...runRecords);
+        
+        if (!options.quiet) {
+            if (process.stdout.isTTY) process.stdout.write('\r\x1b[K');
+            console.log(`[${i + 1}/${runs.length}] ${run.id} done in ${((performance.now() - runStart) / 1000).toFixed(1)}s`);
+        }
+    });
+    
+    const summary = summarizeExperiment(experiment, records);
+    writeFileSync(join(out, 'summary.csv'), toCSV(summary.map(flattenRecord)));
+    writeFileSync(join(out, 'summary.json'), JSON.stringify({ experiment, summary }, null, 2));
+    
+    console.log(`\nFinished in ${((performance.now() - startTime) / 1000).toFixed(1)}s; generation ${experiment.generations} across ${experiment.seeds.length} seed(s):\n`);
+    console.log(formatTable(summary.map(entry => ({
+        ...entry.parameters,
+        team: entry.team,
+        'win %': (entry.winRate * 100).toFixed(1),
+        'draw %': (entry.drawRate * 100).toFixed(1),
+        survivors: formatNumber(entry.finalSurvivors, entry.finalSurvivorsDeviation),
+        'best fitness': formatNumber(entry.finalBestFitness, entry.finalBestFitnessDeviation),
+        'mean fitness': formatNumber(entry.finalMeanFitness, entry.finalMeanFitnessDeviation)
+    }))));
+}
+
+main();